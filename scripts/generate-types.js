@@ -0,0 +1,88 @@
+/**
+ * Generate TypeScript types and runtime validators from component schemas,
+ * and warn when a registered component reads a field its schema lacks
+ *
+ *   npm run generate-types               read schemas from the space
+ *   npm run generate-types -- --local    read src/schemas/components.js
+ *   npm run generate-types -- --strict   exit with an error on warnings
+ */
+
+require("./register");
+
+const fs = require("fs");
+const path = require("path");
+const {
+  getComponents,
+  getErrorMessage,
+} = require("../src/utils/storyblokManagement");
+const {
+  generateTypes,
+  generateValidators,
+  findRegisteredComponents,
+  findFieldReads,
+} = require("./lib/schemaCodegen");
+
+const SRC = path.resolve(__dirname, "../src");
+const TYPES_FILE = path.join(SRC, "types/storyblok.d.ts");
+const VALIDATORS_FILE = path.join(SRC, "schemas/validators.js");
+
+const args = process.argv.slice(2);
+const local = args.includes("--local");
+const strict = args.includes("--strict");
+
+const loadComponents = () =>
+  local
+    ? Promise.resolve(require("../src/schemas/components").default)
+    : getComponents();
+
+const writeFile = (file, contents) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+};
+
+// Compare the fields each registered React component reads with its schema
+const checkFieldReads = (components) => {
+  const schemas = new Map(components.map((c) => [c.name, c.schema || {}]));
+  const registered = findRegisteredComponents(
+    fs.readFileSync(path.join(SRC, "storyblok.js"), "utf8")
+  );
+
+  const warnings = [];
+  Object.entries(registered).forEach(([name, importPath]) => {
+    const schema = schemas.get(name);
+    if (!schema) {
+      warnings.push(`"${name}" is registered but has no schema`);
+      return;
+    }
+
+    const file = require.resolve(path.join(SRC, importPath));
+    findFieldReads(fs.readFileSync(file, "utf8"))
+      .filter((field) => !(field in schema))
+      .forEach((field) =>
+        warnings.push(
+          `${path.relative(
+            SRC,
+            file
+          )} reads blok.${field}, which is not in the "${name}" schema`
+        )
+      );
+  });
+  return warnings;
+};
+
+loadComponents()
+  .then((components) => {
+    writeFile(TYPES_FILE, generateTypes(components));
+    writeFile(VALIDATORS_FILE, generateValidators(components));
+
+    const warnings = checkFieldReads(components);
+    warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+    if (strict && warnings.length > 0) {
+      process.exitCode = 1;
+    }
+  })
+  .catch((error) => {
+    console.error(`Generation failed: ${getErrorMessage(error)}`);
+    process.exitCode = 1;
+  });
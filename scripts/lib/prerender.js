@@ -0,0 +1,343 @@
+/**
+ * Renders published stories to static HTML in the build folder, with the
+ * story inlined for hydration. Load ../register before requiring this.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const React = require("react");
+const { renderToString } = require("react-dom/server");
+const { default: App } = require("../../src/App");
+const { default: Router } = require("../../src/components/Router");
+const { default: config } = require("../../src/config");
+const {
+  getLanguageAlternates,
+  getStoryLanguages,
+  withLocale,
+} = require("../../src/utils/locales");
+const { getPathFromSlug, getSlugFromPath } = require("../../src/utils/routing");
+const { getPageHead, getSiteOrigin } = require("../../src/utils/seo");
+const {
+  PRERENDER_STATE_ID,
+  PRERENDERED_ATTRIBUTE,
+  serializePrerenderState,
+} = require("../../src/utils/prerenderState");
+const { getResolveParams } = require("../../src/utils/storyRelations");
+
+// Copy of the CRA index.html, kept as the template once index.html is the home page
+const SHELL_FILE = "shell.html";
+const NOT_FOUND_FILE = "404.html";
+// Story id -> full slug of every prerendered story, to find the pages of
+// moved or deleted stories
+const MANIFEST_FILE = "prerender-manifest.json";
+const VERSION = "published";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const renderTag = (name, attributes, content) => {
+  const attrs = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+    .join("");
+  return content === undefined
+    ? `<${name}${attrs} ${PRERENDERED_ATTRIBUTE}>`
+    : `<${name}${attrs} ${PRERENDERED_ATTRIBUTE}>${content}</${name}>`;
+};
+
+/**
+ * Head tags of a page, matching what useDocumentHead and useAlternateLinks
+ * add in the browser
+ * @param {Object} head - From getPageHead
+ * @param {Array} alternates - From getLanguageAlternates
+ * @param {string} origin - Site origin for the alternate links
+ * @returns {string} HTML
+ */
+const renderHeadTags = (head, alternates, origin) => {
+  const tags = [
+    ...head.meta.map((attributes) => renderTag("meta", attributes)),
+    ...head.links.map((attributes) => renderTag("link", attributes)),
+    ...head.jsonLd.map((data) =>
+      renderTag(
+        "script",
+        { type: "application/ld+json" },
+        JSON.stringify(data).replace(/</g, "\\u003c")
+      )
+    ),
+  ];
+  if (alternates.length > 1) {
+    alternates.forEach(({ language, hreflang, path: alternatePath }) =>
+      (language ? [hreflang] : [hreflang, "x-default"]).forEach((value) =>
+        tags.push(
+          renderTag("link", {
+            rel: "alternate",
+            hreflang: value,
+            href: origin ? new URL(alternatePath, origin).href : alternatePath,
+          })
+        )
+      )
+    );
+  }
+  return tags.join("");
+};
+
+/**
+ * Fill the CRA index.html with a rendered page
+ * @param {string} template - Built index.html
+ * @param {Object} page - { html, head, headTags, lang, state }
+ * @returns {string} HTML document
+ */
+const renderDocument = (template, { html, head, headTags, lang, state }) => {
+  let document = template
+    .replace(/<html[^>]*>/, `<html lang="${escapeHtml(lang)}">`)
+    .replace(
+      /<title>[\s\S]*?<\/title>/,
+      `<title>${escapeHtml(head.title)}</title>`
+    );
+  if (head.meta.some((meta) => meta.name === "description")) {
+    document = document.replace(/<meta name="description"[^>]*>/, "");
+  }
+
+  const stateScript = state
+    ? `<script type="application/json" id="${PRERENDER_STATE_ID}">${serializePrerenderState(
+        state
+      )}</script>`
+    : "";
+  return document
+    .replace("</head>", `${headTags}</head>`)
+    .replace(
+      '<div id="app"></div>',
+      `<div id="app">${html}</div>${stateScript}`
+    );
+};
+
+/**
+ * File a page path is written to: "/" -> index.html, "/de/about" -> de/about/index.html
+ * @param {string} buildDir - Build folder
+ * @param {string} pagePath - URL path
+ * @returns {string} File path
+ */
+const getOutputFile = (buildDir, pagePath) =>
+  path.join(buildDir, ...pagePath.split("/").filter(Boolean), "index.html");
+
+/**
+ * Create a prerenderer for a build folder
+ * @param {Object} options - Options
+ * @param {string} options.buildDir - Output of `npm run build`
+ * @param {Object} options.client - Content Delivery API client from createDeliveryClient
+ * @returns {Object} { prerenderSite, prerenderSlugs, readManifest }
+ */
+const createPrerenderer = ({ buildDir, client }) => {
+  const shellFile = path.join(buildDir, SHELL_FILE);
+  const manifestFile = path.join(buildDir, MANIFEST_FILE);
+  const origin = getSiteOrigin();
+
+  const readTemplate = () => {
+    if (!fs.existsSync(shellFile)) {
+      throw new Error(
+        `${path.relative(
+          process.cwd(),
+          shellFile
+        )} is missing. Run a full prerender after \`npm run build\` first.`
+      );
+    }
+    return fs.readFileSync(shellFile, "utf8");
+  };
+
+  /**
+   * Full slugs of the prerendered stories by story id
+   * @returns {Object<string, string>}
+   */
+  const readManifest = () =>
+    fs.existsSync(manifestFile)
+      ? JSON.parse(fs.readFileSync(manifestFile, "utf8"))
+      : {};
+
+  const fetchStory = (fullSlug, language) =>
+    client.getStory(fullSlug, {
+      version: VERSION,
+      language: language || undefined,
+      fallback_lang: config.fallbackLanguage || undefined,
+      ...getResolveParams(),
+    });
+
+  const renderApp = (pagePath, state) =>
+    renderToString(
+      React.createElement(
+        Router,
+        { location: { pathname: pagePath, search: "", hash: "" } },
+        React.createElement(App, { preloaded: state })
+      )
+    );
+
+  const writeFile = (file, contents) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+  };
+
+  // Render one language version of a story; returns the page path
+  const writePage = (template, story, language, storyPath) => {
+    const pagePath = withLocale(storyPath, language);
+    const state = {
+      slug: getSlugFromPath(storyPath, config.homeSlug),
+      language,
+      version: VERSION,
+      story,
+      status: "ready",
+    };
+    const head = getPageHead(story, {
+      ...config,
+      origin,
+      path: pagePath,
+      language,
+    });
+    const alternates = getLanguageAlternates(story, storyPath, config);
+
+    writeFile(
+      getOutputFile(buildDir, pagePath),
+      renderDocument(template, {
+        html: renderApp(pagePath, state),
+        head,
+        headTags: renderHeadTags(head, alternates, origin),
+        lang: language || config.defaultLanguage,
+        state,
+      })
+    );
+    return pagePath;
+  };
+
+  // Render every language version of a story and remove those that no
+  // longer exist, e.g. after it was unpublished
+  const renderSlug = async (template, fullSlug, report, manifest) => {
+    const storyPath = getPathFromSlug(fullSlug, config.homeSlug);
+    try {
+      const story = await fetchStory(fullSlug, "");
+      Object.keys(manifest)
+        .filter((id) => manifest[id] === fullSlug)
+        .forEach((id) => delete manifest[id]);
+      if (story) {
+        manifest[story.id] = fullSlug;
+      }
+      const languages = story ? getStoryLanguages(story, config.languages) : [];
+
+      for (const language of ["", ...config.languages]) {
+        if (languages.includes(language)) {
+          const translated = language
+            ? await fetchStory(fullSlug, language)
+            : story;
+          if (translated) {
+            report.written.push(
+              writePage(template, translated, language, storyPath)
+            );
+            continue;
+          }
+        }
+
+        const pagePath = withLocale(storyPath, language);
+        const file = getOutputFile(buildDir, pagePath);
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+          report.removed.push(pagePath);
+        }
+      }
+    } catch (error) {
+      report.failed.push({ slug: fullSlug, error });
+    }
+  };
+
+  // 404.html for hosts that serve it for unknown paths. It has no inlined
+  // state, so the app loads the requested path itself.
+  const renderNotFound = async (template, report) => {
+    try {
+      const story = await fetchStory(config.notFoundSlug, "");
+      const storyPath = getPathFromSlug(config.notFoundSlug, config.homeSlug);
+      const state = {
+        slug: getSlugFromPath(storyPath, config.homeSlug),
+        language: "",
+        version: VERSION,
+        story,
+        status: "not_found",
+      };
+      const head = getPageHead(story, { ...config, notFound: true });
+
+      writeFile(
+        path.join(buildDir, NOT_FOUND_FILE),
+        renderDocument(template, {
+          html: renderApp(storyPath, state),
+          head,
+          headTags: renderHeadTags(head, [], origin),
+          lang: config.defaultLanguage,
+        })
+      );
+      report.written.push(`/${NOT_FOUND_FILE}`);
+    } catch (error) {
+      report.failed.push({ slug: config.notFoundSlug, error });
+    }
+  };
+
+  /**
+   * Render every published story, and the not-found page
+   * @returns {Promise<Object>} { written: [path], removed: [path], failed: [{ slug, error }] }
+   */
+  const prerenderSite = async () => {
+    if (!fs.existsSync(shellFile)) {
+      fs.copyFileSync(path.join(buildDir, "index.html"), shellFile);
+    }
+    const template = readTemplate();
+    const report = { written: [], removed: [], failed: [] };
+    const manifest = {};
+
+    await client.getCacheVersion();
+    const links = await client.getLinks({ version: VERSION });
+    const slugs = links
+      .filter(
+        (link) =>
+          !link.is_folder &&
+          link.published !== false &&
+          link.slug !== config.notFoundSlug
+      )
+      .map((link) => link.slug);
+
+    await Promise.all([
+      ...slugs.map((slug) => renderSlug(template, slug, report, manifest)),
+      renderNotFound(template, report),
+    ]);
+    writeFile(manifestFile, JSON.stringify(manifest));
+    return report;
+  };
+
+  /**
+   * Render only some stories again, e.g. after they were published, and
+   * remove the pages of stories that were unpublished or deleted
+   * @param {Array<string>} slugs - Full slugs
+   * @returns {Promise<Object>} { written: [path], removed: [path], failed: [{ slug, error }] }
+   */
+  const prerenderSlugs = async (slugs) => {
+    const template = readTemplate();
+    const report = { written: [], removed: [], failed: [] };
+    const manifest = readManifest();
+
+    await client.getCacheVersion();
+    await Promise.all(
+      [...new Set(slugs)].map((slug) =>
+        slug === config.notFoundSlug
+          ? renderNotFound(template, report)
+          : renderSlug(template, slug, report, manifest)
+      )
+    );
+    writeFile(manifestFile, JSON.stringify(manifest));
+    return report;
+  };
+
+  return { prerenderSite, prerenderSlugs, readManifest };
+};
+
+module.exports = {
+  createPrerenderer,
+  renderDocument,
+  renderHeadTags,
+  getOutputFile,
+};
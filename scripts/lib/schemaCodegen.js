@@ -0,0 +1,284 @@
+/**
+ * Turns component schemas into TypeScript declarations and a runtime
+ * validator module, and finds blok fields read by React components.
+ */
+
+const {
+  LAYOUT_FIELD_TYPES,
+  BASE_BLOK_FIELDS,
+} = require("../../src/utils/blokValidation");
+
+const HEADER = `// Generated by \`npm run generate-types\` from the component schemas.
+// Do not edit by hand.
+`;
+
+/**
+ * "hero_section" -> "HeroSectionBlok"
+ * @param {string} name - Component name
+ * @returns {string} Type name
+ */
+const toTypeName = (name) =>
+  name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("") + "Blok";
+
+const quoteKey = (key) =>
+  /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+
+/**
+ * Serialize plain data as a JS object literal, keeping objects that only
+ * hold primitives on one line
+ * @param {*} value - JSON-compatible value
+ * @param {number} depth - Current indentation level
+ * @returns {string} Source code
+ */
+const toLiteral = (value, depth = 0) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return "{}";
+
+  if (entries.every(([, v]) => !v || typeof v !== "object")) {
+    const inline = entries.map(([k, v]) => `${quoteKey(k)}: ${toLiteral(v)}`);
+    return `{ ${inline.join(", ")} }`;
+  }
+
+  const pad = "  ".repeat(depth + 1);
+  const lines = entries.map(
+    ([k, v]) => `${pad}${quoteKey(k)}: ${toLiteral(v, depth + 1)},`
+  );
+  return `{\n${lines.join("\n")}\n${"  ".repeat(depth)}}`;
+};
+
+/**
+ * Content fields of a schema, in editor order
+ * @param {Object} schema - Component schema
+ * @returns {Array<[string, Object]>} Field name and definition pairs
+ */
+const contentFields = (schema = {}) =>
+  Object.entries(schema)
+    .filter(([, field]) => !LAYOUT_FIELD_TYPES.includes(field.type))
+    .sort(([, a], [, b]) => (a.pos ?? 0) - (b.pos ?? 0));
+
+/**
+ * TypeScript type for one schema field
+ * @param {Object} field - Field definition
+ * @param {Set<string>} componentNames - Names of all components in the space
+ * @returns {string} Type expression
+ */
+const fieldType = (field, componentNames) => {
+  switch (field.type) {
+    case "text":
+    case "textarea":
+    case "markdown":
+    case "datetime":
+      return "string";
+    case "number":
+      return "string | number";
+    case "boolean":
+      return "boolean";
+    case "option":
+      if (field.source === "internal_stories") {
+        return "string | StoryblokStoryReference";
+      }
+      return field.options?.length
+        ? field.options.map((o) => JSON.stringify(String(o.value))).join(" | ")
+        : "string";
+    case "options":
+      // Relations are resolved into stories, see src/utils/storyRelations.js
+      return field.source === "internal_stories"
+        ? "(string | StoryblokStoryReference)[]"
+        : "string[]";
+    case "bloks": {
+      const allowed = (
+        field.restrict_components ? field.component_whitelist || [] : []
+      ).filter((name) => componentNames.has(name));
+      return allowed.length
+        ? `(${allowed.map(toTypeName).join(" | ")})[]`
+        : "Blok[]";
+    }
+    case "asset":
+      return "StoryblokAsset";
+    case "multiasset":
+      return "StoryblokAsset[]";
+    case "multilink":
+      return "StoryblokMultilink";
+    case "richtext":
+      return "StoryblokRichtext";
+    default:
+      return "unknown";
+  }
+};
+
+/**
+ * Build the .d.ts source for a list of components
+ * @param {Array} components - Components as returned by getComponents
+ * @returns {string} Declaration file contents
+ */
+const generateTypes = (components) => {
+  const sorted = [...components].sort((a, b) => a.name.localeCompare(b.name));
+  const names = new Set(sorted.map((c) => c.name));
+
+  const interfaces = sorted.map((component) => {
+    const fields = contentFields(component.schema).map(
+      ([key, field]) =>
+        `  ${quoteKey(key)}${field.required ? "" : "?"}: ${fieldType(
+          field,
+          names
+        )};`
+    );
+    return [
+      `export interface ${toTypeName(component.name)} extends BlokBase {`,
+      `  component: ${JSON.stringify(component.name)};`,
+      ...fields,
+      "}",
+    ].join("\n");
+  });
+
+  const union = sorted.length
+    ? sorted.map((c) => `  | ${toTypeName(c.name)}`).join("\n")
+    : "  never";
+
+  return `${HEADER}
+export interface BlokBase {
+  _uid: string;
+  _editable?: string;
+}
+
+export interface StoryblokAsset {
+  id: number | null;
+  filename: string;
+  name?: string;
+  alt?: string | null;
+  title?: string | null;
+  copyright?: string | null;
+  focus?: string | null;
+}
+
+export interface StoryblokMultilink {
+  linktype: "story" | "url" | "asset" | "email";
+  id?: string;
+  url?: string;
+  cached_url?: string;
+  email?: string;
+  anchor?: string;
+  target?: "_blank" | "_self";
+  story?: {
+    name: string;
+    id: number;
+    uuid: string;
+    slug: string;
+    full_slug: string;
+    url?: string;
+  };
+}
+
+export interface StoryblokStoryReference {
+  name: string;
+  id: number;
+  uuid: string;
+  slug: string;
+  full_slug: string;
+  content: Blok;
+}
+
+export interface StoryblokRichtext {
+  type: string;
+  text?: string;
+  attrs?: Record<string, unknown>;
+  marks?: { type: string; attrs?: Record<string, unknown> }[];
+  content?: StoryblokRichtext[];
+}
+
+${interfaces.join("\n\n")}
+
+export type Blok =
+${union};
+
+export type BlokComponentName = Blok["component"];
+`;
+};
+
+/**
+ * Build the runtime validator module for a list of components
+ * @param {Array} components - Components as returned by getComponents
+ * @returns {string} JavaScript module contents
+ */
+const generateValidators = (components) => {
+  const schemas = [...components]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .reduce((result, component) => {
+      result[component.name] = contentFields(component.schema).reduce(
+        (fields, [key, field]) => {
+          fields[key] = field.required
+            ? { type: field.type, required: true }
+            : { type: field.type };
+          return fields;
+        },
+        {}
+      );
+      return result;
+    }, {});
+
+  return `${HEADER}
+import { createBlokValidator } from "../utils/blokValidation";
+
+export const blokSchemas = ${toLiteral(schemas)};
+
+export const validateBlok = createBlokValidator(blokSchemas);
+`;
+};
+
+/**
+ * Find the component map passed to storyblokInit and where each component
+ * is imported from
+ * @param {string} source - Source of src/storyblok.js
+ * @returns {Object<string, string>} Component name to import path
+ */
+const findRegisteredComponents = (source) => {
+  const imports = {};
+  for (const match of source.matchAll(
+    /import\s+(\w+)\s+from\s+["']([^"']+)["']/g
+  )) {
+    imports[match[1]] = match[2];
+  }
+
+  const block = source.match(/components:\s*(?:\w+\()?{([^}]*)}/);
+  if (!block) return {};
+
+  const registered = {};
+  for (const match of block[1].matchAll(/["']?([\w-]+)["']?\s*:\s*(\w+)/g)) {
+    if (imports[match[2]]) {
+      registered[match[1]] = imports[match[2]];
+    }
+  }
+  return registered;
+};
+
+/**
+ * Fields a component reads from its `blok` prop, e.g. `blok.image?.filename`
+ * yields "image". Base fields like `_uid` are left out.
+ * @param {string} source - Component source
+ * @returns {string[]} Field names
+ */
+const findFieldReads = (source) => {
+  const fields = new Set();
+  for (const match of source.matchAll(/\bblok\??\.([A-Za-z_$][\w$]*)/g)) {
+    if (!BASE_BLOK_FIELDS.includes(match[1])) {
+      fields.add(match[1]);
+    }
+  }
+  return [...fields].sort();
+};
+
+module.exports = {
+  toTypeName,
+  generateTypes,
+  generateValidators,
+  findRegisteredComponents,
+  findFieldReads,
+};
@@ -0,0 +1,138 @@
+/**
+ * Verifies Storyblok webhook requests and works out which stories an event
+ * invalidates
+ */
+
+const crypto = require("crypto");
+
+const STORY_ACTIONS = ["published", "unpublished", "deleted", "moved"];
+const ASSET_ACTIONS = ["created", "replaced", "deleted", "restored"];
+
+// Invalidations kept for clients catching up through GET /invalidations
+const LOG_LIMIT = 100;
+
+/**
+ * Check the `webhook-signature` header, an HMAC-SHA1 of the raw request
+ * body keyed with the webhook secret
+ * @param {Buffer|string} rawBody - Request body as received
+ * @param {string} signature - Header value
+ * @param {string} secret - Secret set on the webhook in Storyblok
+ * @returns {boolean}
+ */
+const verifySignature = (rawBody, signature, secret) => {
+  if (!secret || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(
+    crypto.createHmac("sha1", secret).update(rawBody).digest("hex")
+  );
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Normalize a webhook payload
+ * @param {Object} payload - Parsed request body
+ * @returns {Object|null} { type: "story" | "asset", action, storyId, fullSlug, assetId },
+ *   or null for events that don't affect rendered content
+ */
+const parseEvent = (payload) => {
+  const { action } = payload || {};
+  if (payload?.story_id && STORY_ACTIONS.includes(action)) {
+    return {
+      type: "story",
+      action,
+      storyId: String(payload.story_id),
+      fullSlug: payload.full_slug || null,
+    };
+  }
+  if (payload?.asset_id && ASSET_ACTIONS.includes(action)) {
+    return { type: "asset", action, assetId: payload.asset_id };
+  }
+  return null;
+};
+
+/**
+ * Stories whose pages an event invalidates
+ * @param {Object} event - From parseEvent
+ * @param {Object} options - Options
+ * @param {Object} options.manifest - Story id -> full slug of the prerendered stories
+ * @param {Function} options.findAssetStories - async (assetId) => full slugs of
+ *   published stories using the asset, or null when that can't be found out
+ * @returns {Promise<Object>} { slugs, full }; `full` when every page may be affected
+ */
+const planInvalidation = async (
+  event,
+  { manifest = {}, findAssetStories } = {}
+) => {
+  if (event.type === "story") {
+    // The payload only has the new slug; the old one comes from the manifest
+    const previous = manifest[event.storyId];
+    const slugs = [...new Set([previous, event.fullSlug].filter(Boolean))];
+    const full = slugs.length === 0 || (event.action === "moved" && !previous);
+    return { slugs, full };
+  }
+
+  // A new asset isn't used by any story yet
+  if (event.action === "created") {
+    return { slugs: [], full: false };
+  }
+  const slugs = findAssetStories
+    ? await findAssetStories(event.assetId).catch(() => null)
+    : null;
+  return slugs ? { slugs, full: false } : { slugs: [], full: true };
+};
+
+/**
+ * Recent invalidations, for clients that poll for stale cache entries
+ * @returns {Object} { record(plan), since(id) }
+ */
+const createInvalidationLog = () => {
+  const entries = [];
+  // Anything before this id is unknown: from before the start or trimmed
+  let knownSince = Date.now();
+  let lastId = knownSince;
+
+  return {
+    /**
+     * Add an invalidation
+     * @param {Object} plan - { slugs, full } from planInvalidation
+     * @returns {number} Its id
+     */
+    record: ({ slugs, full }) => {
+      lastId = Math.max(Date.now(), lastId + 1);
+      entries.push({ id: lastId, slugs, full });
+      if (entries.length > LOG_LIMIT) {
+        knownSince = entries.shift().id;
+      }
+      return lastId;
+    },
+
+    /**
+     * Everything invalidated after an id
+     * @param {number} id - Latest id the client has seen
+     * @returns {Object} { id, slugs, full }; `full` when the client should drop its whole cache
+     */
+    since: (id) => {
+      if (!(id >= knownSince)) {
+        return { id: lastId, slugs: [], full: true };
+      }
+      const newer = entries.filter((entry) => entry.id > id);
+      return {
+        id: lastId,
+        slugs: [...new Set(newer.flatMap((entry) => entry.slugs))],
+        full: newer.some((entry) => entry.full),
+      };
+    },
+  };
+};
+
+module.exports = {
+  verifySignature,
+  parseEvent,
+  planInvalidation,
+  createInvalidationLog,
+};
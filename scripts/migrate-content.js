@@ -0,0 +1,121 @@
+/**
+ * Apply the content migrations in src/migrations to every story in the space
+ *
+ *   npm run migrate-content -- --dry-run    list the changes without saving
+ *   npm run migrate-content                 save the migrated stories
+ *   npm run migrate-content -- --publish    also publish stories that were published
+ *
+ * Applied migrations are recorded per space in src/migrations/applied.json;
+ * commit it along with the migrations.
+ */
+
+require("./register");
+
+const fs = require("fs");
+const path = require("path");
+const {
+  runContentMigrations,
+  getDefaultClient,
+  getErrorMessage,
+} = require("../src/utils/storyblokManagement");
+const { default: migrations } = require("../src/migrations");
+
+const APPLIED_FILE = path.resolve(__dirname, "../src/migrations/applied.json");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const publish = args.includes("--publish");
+
+// { [spaceId]: [{ id, appliedAt }] }
+const readApplied = () =>
+  fs.existsSync(APPLIED_FILE)
+    ? JSON.parse(fs.readFileSync(APPLIED_FILE, "utf8"))
+    : {};
+
+const printList = (label, items) => {
+  if (items.length > 0) {
+    console.log(`${label}:`);
+    items.forEach((item) => console.log(`  ${item}`));
+  }
+};
+
+const run = async () => {
+  const ids = migrations.map(({ id }) => id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Migration id "${duplicate}" is used twice`);
+  }
+
+  const spaceId = String(getDefaultClient().spaceId);
+  const applied = readApplied();
+  const report = await runContentMigrations(migrations, {
+    applied: (applied[spaceId] || []).map(({ id }) => id),
+    dryRun,
+    publish,
+    onProgress: ({ done, total }) =>
+      process.stdout.write(`\rMigrating stories: ${done}/${total}`),
+  });
+
+  if (report.migrations.length === 0) {
+    console.log("No pending migrations.");
+    return;
+  }
+
+  console.log(dryRun ? "\n\nDry run, nothing was changed.\n" : "\n");
+  printList(
+    "Migrations",
+    migrations
+      .filter(({ id }) => report.migrations.includes(id))
+      .map(({ id, description }) =>
+        description ? `${id}: ${description}` : id
+      )
+  );
+  report.changed.forEach(({ full_slug, changes }) => {
+    console.log(`\n${full_slug}`);
+    changes.forEach(({ path: field, before, after }) =>
+      console.log(`  ${field}: ${before} -> ${after}`)
+    );
+  });
+  console.log(
+    `\n${report.changed.length} stor${
+      report.changed.length === 1 ? "y" : "ies"
+    } ${dryRun ? "to change" : "changed"}, ${report.unchanged} unchanged.`
+  );
+  printList("Published", report.published);
+  printList("Not published, they have unpublished changes", report.keptAsDraft);
+  printList(
+    "Failed",
+    report.failed.map(
+      ({ full_slug, error }) => `${full_slug}: ${getErrorMessage(error)}`
+    )
+  );
+  printList(
+    "Saved but not published, publish them in Storyblok",
+    report.publishFailed.map(
+      ({ full_slug, error }) => `${full_slug}: ${getErrorMessage(error)}`
+    )
+  );
+
+  if (dryRun) {
+    return;
+  }
+  if (report.failed.length > 0 || report.publishFailed.length > 0) {
+    process.exitCode = 1;
+  }
+  if (report.failed.length > 0) {
+    // Not recorded, so the next run picks up the failed stories
+    return;
+  }
+  const appliedAt = new Date().toISOString();
+  applied[spaceId] = [
+    ...(applied[spaceId] || []),
+    ...report.migrations.map((id) => ({ id, appliedAt })),
+  ];
+  fs.writeFileSync(APPLIED_FILE, `${JSON.stringify(applied, null, 2)}\n`);
+  console.log(`Recorded ${report.migrations.length} migration(s) as applied.`);
+};
+
+run().catch((error) => {
+  console.error(`Migration failed: ${getErrorMessage(error)}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,61 @@
+/**
+ * Render published stories to static HTML in build/, after `npm run build`
+ *
+ *   npm run prerender                                  every published story
+ *   npm run prerender -- --slug blog/post --slug about only these stories
+ */
+
+require("./register");
+
+const path = require("path");
+const { default: config } = require("../src/config");
+const { initStoryblok } = require("../src/storyblok");
+const { getAccessToken } = require("../src/utils/previewMode");
+const { createDeliveryClient } = require("../src/utils/storyblokDelivery");
+const { getErrorMessage } = require("../src/utils/storyblokErrors");
+const { createPrerenderer } = require("./lib/prerender");
+
+const BUILD_DIR = path.resolve(__dirname, "../build");
+
+const args = process.argv.slice(2);
+const slugs = args
+  .map((arg, index) => (arg === "--slug" ? args[index + 1] : null))
+  .filter(Boolean);
+
+const accessToken = getAccessToken("published");
+if (!accessToken) {
+  console.error(
+    "Missing Storyblok access token. Set REACT_APP_STORYBLOK_PUBLIC_TOKEN in your .env file."
+  );
+  process.exit(1);
+}
+if (!config.siteUrl) {
+  console.warn(
+    "Warning: REACT_APP_SITE_URL is not set, so canonical and share URLs will be relative."
+  );
+}
+
+initStoryblok({ accessToken });
+const { prerenderSite, prerenderSlugs } = createPrerenderer({
+  buildDir: BUILD_DIR,
+  client: createDeliveryClient({ token: accessToken, region: config.region }),
+});
+
+(slugs.length > 0 ? prerenderSlugs(slugs) : prerenderSite())
+  .then((report) => {
+    report.written.sort().forEach((page) => console.log(`Wrote ${page}`));
+    report.removed.sort().forEach((page) => console.log(`Removed ${page}`));
+    report.failed.forEach(({ slug, error }) =>
+      console.error(`Failed "${slug}": ${getErrorMessage(error)}`)
+    );
+    console.log(
+      `${report.written.length} page(s) written, ${report.removed.length} removed, ${report.failed.length} failed.`
+    );
+    if (report.failed.length > 0) {
+      process.exitCode = 1;
+    }
+  })
+  .catch((error) => {
+    console.error(`Prerender failed: ${getErrorMessage(error)}`);
+    process.exitCode = 1;
+  });
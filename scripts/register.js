@@ -0,0 +1,19 @@
+/**
+ * Lets Node scripts require the app's ES module sources in src/ and reads
+ * .env the same way react-scripts does.
+ */
+
+const path = require("path");
+
+process.env.NODE_ENV = process.env.NODE_ENV || "development";
+// babel-preset-react-app only compiles modules to CommonJS for Node in "test"
+process.env.BABEL_ENV = "test";
+
+require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+
+require("@babel/register")({
+  babelrc: false,
+  configFile: false,
+  presets: [["babel-preset-react-app", { runtime: "automatic" }]],
+  only: [path.resolve(__dirname, "../src")],
+});
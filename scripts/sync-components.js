@@ -0,0 +1,46 @@
+/**
+ * Sync the component schemas in src/schemas/components.js to the space
+ *
+ *   npm run sync-components -- --dry-run    show what would change
+ *   npm run sync-components                 apply creates and updates
+ *   npm run sync-components -- --prune      also delete remote components
+ *                                           that have no local schema
+ */
+
+require("./register");
+
+const {
+  syncComponents,
+  getErrorMessage,
+} = require("../src/utils/storyblokManagement");
+const { default: components } = require("../src/schemas/components");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const prune = args.includes("--prune");
+
+const printList = (label, items) => {
+  if (items.length > 0) {
+    console.log(`${label}:`);
+    items.forEach((item) => console.log(`  ${item}`));
+  }
+};
+
+syncComponents(components, { dryRun, prune })
+  .then((report) => {
+    console.log(dryRun ? "Dry run, nothing was changed.\n" : "");
+    printList("Groups to create", report.groups);
+    printList("Create", report.create);
+    printList(
+      "Update",
+      report.update.map(
+        ({ name, changes }) => `${name} (${changes.join(", ")})`
+      )
+    );
+    printList("Delete", report.remove);
+    console.log(`${report.unchanged.length} component(s) already up to date.`);
+  })
+  .catch((error) => {
+    console.error(`Sync failed: ${getErrorMessage(error)}`);
+    process.exitCode = 1;
+  });
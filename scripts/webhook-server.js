@@ -0,0 +1,190 @@
+/**
+ * Receive Storyblok webhooks and invalidate the content they change:
+ * prerendered pages are rendered again and the slugs are listed for the
+ * client content cache
+ *
+ *   npm run webhook     listen on WEBHOOK_PORT (4001 by default)
+ *
+ * Point the space's webhook at http://<host>:<port>/webhook, with
+ * STORYBLOK_WEBHOOK_SECRET as its secret.
+ */
+
+require("./register");
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { default: config } = require("../src/config");
+const { initStoryblok } = require("../src/storyblok");
+const { getAccessToken } = require("../src/utils/previewMode");
+const { createDeliveryClient } = require("../src/utils/storyblokDelivery");
+const {
+  findAssetUsage,
+  getAsset,
+  getErrorMessage,
+} = require("../src/utils/storyblokManagement");
+const { createPrerenderer } = require("./lib/prerender");
+const {
+  verifySignature,
+  parseEvent,
+  planInvalidation,
+  createInvalidationLog,
+} = require("./lib/webhook");
+
+const BUILD_DIR = path.resolve(__dirname, "../build");
+const PORT = Number(process.env.WEBHOOK_PORT) || 4001;
+const SECRET = process.env.STORYBLOK_WEBHOOK_SECRET;
+// Storyblok payloads are small; anything bigger isn't from Storyblok
+const MAX_BODY_SIZE = 1024 * 1024;
+
+if (!SECRET) {
+  console.error(
+    "Missing STORYBLOK_WEBHOOK_SECRET. Set it in your .env file and as the webhook secret in Storyblok."
+  );
+  process.exit(1);
+}
+
+const accessToken = getAccessToken("published");
+if (!accessToken) {
+  console.error(
+    "Missing Storyblok access token. Set REACT_APP_STORYBLOK_PUBLIC_TOKEN in your .env file."
+  );
+  process.exit(1);
+}
+initStoryblok({ accessToken });
+const deliveryClient = createDeliveryClient({
+  token: accessToken,
+  region: config.region,
+});
+const prerenderer = createPrerenderer({
+  buildDir: BUILD_DIR,
+  client: deliveryClient,
+});
+const log = createInvalidationLog();
+
+// Published stories using an asset; needs Management API credentials
+const findAssetStories =
+  process.env.REACT_APP_STORYBLOK_SPACE_ID &&
+  process.env.REACT_APP_STORYBLOK_MANAGEMENT_TOKEN
+    ? async (assetId) => {
+        const usage = await findAssetUsage(await getAsset(assetId), {
+          getPublishedContent: async (story) =>
+            (
+              await deliveryClient.getStory(story.full_slug, {
+                version: "published",
+              })
+            )?.content || null,
+        });
+        return usage
+          .filter(({ story }) => story.published)
+          .map(({ story }) => story.full_slug);
+      }
+    : undefined;
+
+// Events are handled one at a time so prerenders don't overlap
+let pending = Promise.resolve();
+
+const invalidate = async (event) => {
+  const plan = await planInvalidation(event, {
+    manifest: prerenderer.readManifest(),
+    findAssetStories,
+  });
+  log.record(plan);
+  console.log(
+    `${event.type} ${event.action}: ${
+      plan.full ? "everything" : plan.slugs.join(", ") || "nothing"
+    } invalidated`
+  );
+
+  if (!fs.existsSync(path.join(BUILD_DIR, "shell.html"))) {
+    return;
+  }
+  if (!plan.full && plan.slugs.length === 0) {
+    return;
+  }
+  const report = await (plan.full
+    ? prerenderer.prerenderSite()
+    : prerenderer.prerenderSlugs(plan.slugs));
+  console.log(
+    `Prerendered ${report.written.length} page(s), removed ${report.removed.length}, ${report.failed.length} failed.`
+  );
+  report.failed.forEach(({ slug, error }) =>
+    console.error(`Failed "${slug}": ${getErrorMessage(error)}`)
+  );
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+
+const send = (response, status, body) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    // The client content cache polls /invalidations from the site's origin
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+};
+
+const handleWebhook = async (request, response) => {
+  const rawBody = await readBody(request);
+  if (!verifySignature(rawBody, request.headers["webhook-signature"], SECRET)) {
+    send(response, 401, { error: "Invalid signature" });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString("utf8"));
+  } catch (e) {
+    send(response, 400, { error: "Invalid JSON" });
+    return;
+  }
+
+  const event = parseEvent(payload);
+  if (!event) {
+    send(response, 200, { ignored: true });
+    return;
+  }
+
+  // Answer right away; Storyblok doesn't wait for prerendering
+  send(response, 202, { accepted: true });
+  pending = pending
+    .then(() => invalidate(event))
+    .catch((error) =>
+      console.error(`Invalidation failed: ${getErrorMessage(error)}`)
+    );
+};
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+
+  if (request.method === "POST" && url.pathname === "/webhook") {
+    handleWebhook(request, response).catch((error) =>
+      send(response, 400, { error: error.message })
+    );
+    return;
+  }
+  if (request.method === "GET" && url.pathname === "/invalidations") {
+    send(response, 200, log.since(Number(url.searchParams.get("since"))));
+    return;
+  }
+  send(response, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Listening for Storyblok webhooks on port ${PORT}`);
+});
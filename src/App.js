@@ -1,19 +1,113 @@
-import { useStoryblok, StoryblokComponent } from "@storyblok/react";
+import { useEffect } from "react";
+import { StoryblokComponent } from "@storyblok/react";
 import ImageUploadComponent from "./components/ImageUploadComponent";
+import { useRouter } from "./components/Router";
+import useStory from "./hooks/useStory";
+import useAlternateLinks from "./hooks/useAlternateLinks";
+import useDocumentHead from "./hooks/useDocumentHead";
+import useContentUpdates from "./hooks/useContentUpdates";
+import useLinkPrefetch from "./hooks/useLinkPrefetch";
+import config from "./config";
+import { getCanonicalPath, getSlugFromPath } from "./utils/routing";
+import {
+  getLanguageAlternates,
+  splitLocale,
+  withLocale,
+} from "./utils/locales";
+import { getContentVersion, getPreviewState } from "./utils/previewMode";
+import { getPageHead, getSiteOrigin } from "./utils/seo";
+import { prefetchStory } from "./utils/storyLoader";
+import PreviewBanner from "./components/PreviewBanner";
+import LanguageSwitcher from "./components/LanguageSwitcher";
 
-function App() {
-  let slug =
-    window.location.pathname === "/"
-      ? "home"
-      : window.location.pathname.replace("/", "");
+/**
+ * @param {Object} preloaded - Story inlined into a prerendered page, see useStory
+ */
+function App({ preloaded }) {
+  const { pathname, search, hash, navigate } = useRouter();
+  // "/de/about" is the "about" story in German
+  const { language, pathname: storyPath } = splitLocale(
+    pathname,
+    config.languages
+  );
+  const slug = getSlugFromPath(storyPath, config.homeSlug);
+
+  // "/about/" and "/home" are shown as "/about" and "/"
+  const canonicalPath = withLocale(
+    getCanonicalPath(storyPath, config.homeSlug),
+    language
+  );
+  useEffect(() => {
+    if (canonicalPath !== pathname) {
+      navigate(canonicalPath + search + hash, { replace: true });
+    }
+  }, [pathname, canonicalPath, search, hash, navigate]);
+
+  useEffect(() => {
+    document.documentElement.lang = language || config.defaultLanguage;
+  }, [language]);
+
+  const version = getContentVersion();
+  const { story, status, error } = useStory(slug, {
+    version,
+    language,
+    fallbackLanguage: config.fallbackLanguage,
+    notFoundSlug: config.notFoundSlug,
+    preloaded,
+  });
+
+  useContentUpdates(version === "published");
+  // Load linked pages on hover, so they show at once when clicked
+  useLinkPrefetch((path) => {
+    const target = splitLocale(path, config.languages);
+    prefetchStory(getSlugFromPath(target.pathname, config.homeSlug), {
+      version,
+      language: target.language,
+      fallbackLanguage: config.fallbackLanguage,
+      notFoundSlug: config.notFoundSlug,
+    }).catch(() => {});
+  });
 
-  const story = useStoryblok(slug, { version: "draft" });
-  if (!story || !story.content) {
+  const alternates =
+    status === "ready" ? getLanguageAlternates(story, storyPath, config) : [];
+  useAlternateLinks(alternates);
+
+  const head =
+    status === "ready" || status === "not_found"
+      ? getPageHead(story, {
+          ...config,
+          origin: getSiteOrigin(),
+          path: canonicalPath,
+          language,
+          notFound: status === "not_found",
+        })
+      : null;
+  useDocumentHead(head);
+
+  if (status === "loading") {
     return <div>Loading...</div>;
   }
 
+  if (status === "error") {
+    return <div>Could not load this page: {error.message}</div>;
+  }
+
+  if (!story?.content) {
+    return (
+      <div className="max-w-xl mx-auto p-6 text-center">
+        <h1 className="text-3xl font-bold mb-4">Page not found</h1>
+        <p className="mb-4">There is no page at {pathname}.</p>
+        <a href={withLocale("/", language)} className="text-blue-600 underline">
+          Go to the home page
+        </a>
+      </div>
+    );
+  }
+
   return (
     <>
+      {getPreviewState() === "secret" && <PreviewBanner />}
+      <LanguageSwitcher alternates={alternates} current={language} />
       <StoryblokComponent blok={story.content} />
     </>
   );
@@ -0,0 +1,82 @@
+import React from "react";
+import { getAssetName } from "../utils/assetLibrary";
+import { panelButtonClass } from "./assetUi";
+
+/**
+ * Confirmation for deleting an asset that lists the stories using it.
+ * Deleting is blocked while a published story references the asset and
+ * needs a second click when only drafts do. It is also blocked when the
+ * usage is unknown, since the asset might be on a live page.
+ * `usage` is null while the scan runs; `error` is set if it failed.
+ */
+export default function AssetDeleteDialog({
+  asset,
+  usage,
+  error,
+  onConfirm,
+  onClose,
+}) {
+  const published = (usage || []).filter(({ story }) => story.published);
+  const blocked = published.length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg max-h-full overflow-y-auto">
+        <h3 className="text-lg font-semibold mb-4 truncate">
+          Delete {getAssetName(asset)}?
+        </h3>
+
+        {error ? (
+          <p className="text-sm text-red-800 mb-4">
+            Could not check where this asset is used: {error}. It can't be
+            deleted until that check succeeds.
+          </p>
+        ) : !usage ? (
+          <p className="text-sm text-gray-600 mb-4">
+            Checking which stories use this asset...
+          </p>
+        ) : usage.length === 0 ? (
+          <p className="text-sm text-gray-600 mb-4">
+            No story uses this asset.
+          </p>
+        ) : (
+          <div className="mb-4 text-sm">
+            <p className={blocked ? "text-red-800" : "text-orange-700"}>
+              {blocked
+                ? "This asset is used on published stories. Remove it from them before deleting it."
+                : "This asset is used in draft stories, which will show a broken image."}
+            </p>
+            <ul className="mt-2 space-y-1">
+              {usage.map(({ story, paths }) => (
+                <li key={story.id}>
+                  <span className="font-semibold">{story.name}</span>{" "}
+                  <span className="text-xs text-gray-500">
+                    /{story.full_slug}
+                    {story.published ? " (published)" : " (draft)"}
+                  </span>
+                  <div className="text-xs text-gray-500 font-mono truncate">
+                    {paths.join(", ")}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className={panelButtonClass}>
+            Cancel
+          </button>
+          {usage && !blocked && (
+            <button
+              onClick={onConfirm}
+              className="text-xs font-bold py-2 px-3 rounded bg-red-500 hover:bg-red-600 text-white"
+            >
+              {usage?.length === 0 ? "Delete" : "Delete anyway"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import React, { useState } from "react";
+import {
+  formatFocus,
+  getAssetName,
+  getAssetType,
+  getImageDimensions,
+  parseFocus,
+} from "../utils/assetLibrary";
+import { panelButtonClass } from "./assetUi";
+
+const inputClass = "w-full border rounded px-2 py-1 text-sm";
+
+/**
+ * Dialog for editing an asset's alt text, title, copyright, focal point and
+ * tags. Clicking the preview sets the focal point.
+ */
+export default function AssetEditPanel({
+  asset,
+  tags,
+  onSave,
+  onCreateTag,
+  onClose,
+}) {
+  const [fields, setFields] = useState({
+    alt: asset.alt || "",
+    title: asset.title || "",
+    copyright: asset.copyright || "",
+    focus: asset.focus || "",
+  });
+  const [tagIds, setTagIds] = useState(
+    (asset.internal_tag_ids || []).map(String)
+  );
+  const [newTag, setNewTag] = useState("");
+  const [saving, setSaving] = useState(false);
+  // Known from the URL for Storyblok images, otherwise read once loaded
+  const [imageSize, setImageSize] = useState(() =>
+    getImageDimensions(asset.filename)
+  );
+
+  const isImage = getAssetType(asset) === "image";
+  const focus = parseFocus(fields.focus);
+  const set = (field) => (e) =>
+    setFields({ ...fields, [field]: e.target.value });
+
+  const toggleTag = (id) =>
+    setTagIds((ids) =>
+      ids.includes(id) ? ids.filter((tagId) => tagId !== id) : [...ids, id]
+    );
+
+  // Map the click to pixels in the original image
+  const handleFocusClick = (e) => {
+    if (!imageSize) {
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * imageSize.width;
+    const y = ((e.clientY - rect.top) / rect.height) * imageSize.height;
+    setFields({ ...fields, focus: formatFocus(x, y) });
+  };
+
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    const name = newTag.trim();
+    if (!name) {
+      return;
+    }
+    const existing = tags.find(
+      (tag) => tag.name.toLowerCase() === name.toLowerCase()
+    );
+    const tag = existing || (await onCreateTag(name));
+    if (tag) {
+      setTagIds((ids) =>
+        ids.includes(String(tag.id)) ? ids : [...ids, String(tag.id)]
+      );
+      setNewTag("");
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave(asset.id, { ...fields, internal_tag_ids: tagIds });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg max-h-full overflow-y-auto">
+        <h3 className="text-lg font-semibold mb-4 truncate">
+          Edit {getAssetName(asset)}
+        </h3>
+
+        {isImage && (
+          <div className="mb-4">
+            <div
+              className="relative cursor-crosshair"
+              onClick={handleFocusClick}
+            >
+              <img
+                src={asset.filename}
+                alt={fields.alt}
+                onLoad={(e) =>
+                  setImageSize({
+                    width: e.target.naturalWidth,
+                    height: e.target.naturalHeight,
+                  })
+                }
+                className="w-full rounded"
+              />
+              {focus && imageSize && (
+                <span
+                  className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full border-2 border-white bg-blue-500 shadow"
+                  style={{
+                    left: `${(focus.x / imageSize.width) * 100}%`,
+                    top: `${(focus.y / imageSize.height) * 100}%`,
+                  }}
+                />
+              )}
+            </div>
+            <div className="flex justify-between items-center text-xs text-gray-500 mt-1">
+              <span>
+                {focus
+                  ? `Focal point: ${focus.x}, ${focus.y}`
+                  : "Click the image to set a focal point"}
+              </span>
+              {focus && (
+                <button
+                  type="button"
+                  onClick={() => setFields({ ...fields, focus: "" })}
+                  className="underline"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label className="block text-sm">
+            Alt text
+            <input
+              value={fields.alt}
+              onChange={set("alt")}
+              placeholder="Describe the image for screen readers"
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-sm">
+            Title
+            <input
+              value={fields.title}
+              onChange={set("title")}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-sm">
+            Copyright
+            <input
+              value={fields.copyright}
+              onChange={set("copyright")}
+              className={inputClass}
+            />
+          </label>
+
+          <div className="text-sm">
+            Tags
+            <div className="flex flex-wrap gap-2 mt-1">
+              {tags.map((tag) => (
+                <label key={tag.id} className="text-xs flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={tagIds.includes(String(tag.id))}
+                    onChange={() => toggleTag(String(tag.id))}
+                  />
+                  {tag.name}
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2 mt-2">
+              <input
+                value={newTag}
+                onChange={(e) => setNewTag(e.target.value)}
+                placeholder="New tag"
+                className="border rounded px-2 py-1 text-sm"
+              />
+              <button
+                type="button"
+                onClick={handleAddTag}
+                className={panelButtonClass}
+              >
+                Add tag
+              </button>
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-2 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={panelButtonClass}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="text-xs font-bold py-2 px-3 rounded bg-green-500 hover:bg-green-600 text-white disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
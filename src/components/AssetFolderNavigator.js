@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { buttonClass } from "./assetUi";
+
+/**
+ * Folders from the root down to `folderId`
+ * @param {Array} folders - All asset folders
+ * @param {number|null} folderId - Current folder
+ * @returns {Array} Breadcrumb trail, without the root
+ */
+export const getFolderPath = (folders, folderId) => {
+  const byId = new Map(folders.map((folder) => [folder.id, folder]));
+  const path = [];
+  let current = byId.get(folderId);
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    current = byId.get(current.parent_id);
+  }
+  return path;
+};
+
+const getChildren = (folders, parentId) =>
+  folders
+    .filter((folder) => (folder.parent_id || null) === parentId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Nested folder list; folders on the way to the current one are expanded
+ */
+function FolderTree({ folders, parentId, currentId, openIds, onSelect }) {
+  const children = getChildren(folders, parentId);
+  if (children.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="pl-3">
+      {children.map((folder) => (
+        <li key={folder.id}>
+          <button
+            onClick={() => onSelect(folder.id)}
+            className={`text-sm py-0.5 hover:underline ${
+              folder.id === currentId ? "font-bold text-blue-700" : ""
+            }`}
+          >
+            📁 {folder.name}
+          </button>
+          {openIds.includes(folder.id) && (
+            <FolderTree
+              folders={folders}
+              parentId={folder.id}
+              currentId={currentId}
+              openIds={openIds}
+              onSelect={onSelect}
+            />
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Asset folder tree with breadcrumbs and create/rename/delete actions.
+ * `currentId` is null at the root folder; `showingAll` marks the view of
+ * every asset, opened with `onShowAll`.
+ */
+export default function AssetFolderNavigator({
+  folders,
+  currentId,
+  showingAll = false,
+  onSelect,
+  onShowAll,
+  onCreate,
+  onRename,
+  onDelete,
+}) {
+  const [newName, setNewName] = useState("");
+  const path = getFolderPath(folders, currentId);
+  const current = path[path.length - 1];
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newName.trim()) {
+      onCreate(newName.trim(), currentId);
+      setNewName("");
+    }
+  };
+
+  const handleRename = () => {
+    const name = window.prompt("Rename folder", current.name);
+    if (name && name.trim() && name.trim() !== current.name) {
+      onRename(current.id, name.trim());
+    }
+  };
+
+  return (
+    <div className="mb-4 border rounded-lg p-3 bg-gray-50">
+      {/* Breadcrumbs */}
+      <nav className="text-sm mb-2">
+        <button
+          onClick={onShowAll}
+          className={`hover:underline mr-3 ${showingAll ? "font-bold" : ""}`}
+        >
+          All assets
+        </button>
+        <button
+          onClick={() => onSelect(null)}
+          className={`hover:underline ${
+            !showingAll && currentId === null ? "font-bold" : ""
+          }`}
+        >
+          Root
+        </button>
+        {path.map((folder) => (
+          <span key={folder.id}>
+            {" / "}
+            <button
+              onClick={() => onSelect(folder.id)}
+              className="hover:underline"
+            >
+              {folder.name}
+            </button>
+          </span>
+        ))}
+      </nav>
+
+      <div className="-ml-3">
+        <FolderTree
+          folders={folders}
+          parentId={null}
+          currentId={currentId}
+          openIds={path.map((folder) => folder.id)}
+          onSelect={onSelect}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-2 items-center mt-3">
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={
+              current ? `New folder in ${current.name}` : "New folder"
+            }
+            className="border rounded px-2 py-1 text-sm"
+          />
+          <button type="submit" className={buttonClass}>
+            Create
+          </button>
+        </form>
+        {current && (
+          <>
+            <button onClick={handleRename} className={buttonClass}>
+              Rename
+            </button>
+            <button
+              onClick={() => onDelete(current)}
+              className="text-xs font-bold py-1 px-2 rounded bg-red-500 hover:bg-red-600 text-white"
+            >
+              Delete folder
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
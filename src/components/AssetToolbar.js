@@ -0,0 +1,78 @@
+import React from "react";
+import { ASSET_TYPES, SORT_OPTIONS } from "../utils/assetLibrary";
+
+const inputClass = "border rounded px-2 py-1 text-sm";
+
+/**
+ * Search, filter and sort controls for the asset grid. `filters` has the
+ * shape filterAssets expects plus `sortBy`.
+ */
+export default function AssetToolbar({ filters, tags, onChange }) {
+  const set = (field) => (e) =>
+    onChange({ ...filters, [field]: e.target.value });
+
+  return (
+    <div className="flex flex-wrap gap-2 items-center mb-4">
+      <input
+        type="search"
+        value={filters.search}
+        onChange={set("search")}
+        placeholder="Search by filename"
+        className={`${inputClass} flex-1 min-w-[12rem]`}
+      />
+      <select
+        value={filters.type}
+        onChange={set("type")}
+        className={inputClass}
+      >
+        <option value="">All types</option>
+        {ASSET_TYPES.map((type) => (
+          <option key={type} value={type}>
+            {type[0].toUpperCase() + type.slice(1)}
+          </option>
+        ))}
+      </select>
+      <select
+        value={filters.tagId}
+        onChange={set("tagId")}
+        className={inputClass}
+      >
+        <option value="">All tags</option>
+        {tags.map((tag) => (
+          <option key={tag.id} value={String(tag.id)}>
+            {tag.name}
+          </option>
+        ))}
+      </select>
+      <label className="text-xs text-gray-600">
+        From{" "}
+        <input
+          type="date"
+          value={filters.from}
+          onChange={set("from")}
+          className={inputClass}
+        />
+      </label>
+      <label className="text-xs text-gray-600">
+        To{" "}
+        <input
+          type="date"
+          value={filters.to}
+          onChange={set("to")}
+          className={inputClass}
+        />
+      </label>
+      <select
+        value={filters.sortBy}
+        onChange={set("sortBy")}
+        className={inputClass}
+      >
+        {Object.entries(SORT_OPTIONS).map(([key, { label }]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { Component } from "react";
+import { storyblokEditable } from "@storyblok/react";
+import { getContentVersion } from "../utils/previewMode";
+import { validateBlok } from "../schemas/validators";
+
+/**
+ * Describe a blok for log messages, e.g. `teaser (uid 1a2b3c)`
+ * @param {Object} blok - Blok content
+ * @returns {string}
+ */
+export const describeBlok = (blok) =>
+  `${blok?.component || "unknown component"} (uid ${blok?._uid || "none"})`;
+
+/**
+ * Placeholder shown instead of a blok in draft content, so editors can see
+ * which blok is missing or broken and why
+ * @param {Object} blok - Blok content
+ * @param {string} title - What went wrong
+ * @param {Array<string>} details - Extra lines, e.g. schema problems
+ */
+export function BlokPlaceholder({ blok, title, details = [] }) {
+  return (
+    <div
+      {...storyblokEditable(blok)}
+      role="alert"
+      className="border-2 border-dashed border-red-400 bg-red-50 text-red-800 text-sm p-4 my-2 rounded"
+    >
+      <p className="font-semibold">{title}</p>
+      <p className="font-mono text-xs">{describeBlok(blok)}</p>
+      {details.length > 0 && (
+        <ul className="list-disc pl-5 mt-2">
+          {details.map((detail) => (
+            <li key={detail}>{detail}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Keeps one failing blok from taking down the page. The error is logged
+ * with the blok's component name and _uid; draft content shows a
+ * placeholder with schema problems that likely caused it, published
+ * content leaves the blok out.
+ * @param {Object} blok - Blok rendered by the children
+ */
+export default class BlokErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(
+      `Blok ${describeBlok(this.props.blok)} failed to render:`,
+      error,
+      info.componentStack
+    );
+  }
+
+  componentDidUpdate(prevProps) {
+    // Edits in the Visual Editor may fix the blok, so try again
+    if (this.state.error && prevProps.blok !== this.props.blok) {
+      this.setState({ error: null });
+    }
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) {
+      return this.props.children;
+    }
+    if (getContentVersion() !== "draft") {
+      return null;
+    }
+
+    const problems = validateBlok(this.props.blok).map(
+      ({ message }) => `Schema mismatch: ${message}`
+    );
+    return (
+      <BlokPlaceholder
+        blok={this.props.blok}
+        title={`This blok failed to render: ${error.message}`}
+        details={problems}
+      />
+    );
+  }
+}
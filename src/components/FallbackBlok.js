@@ -0,0 +1,24 @@
+import React from "react";
+import { getContentVersion } from "../utils/previewMode";
+import { BlokPlaceholder } from "./BlokErrorBoundary";
+
+/**
+ * Rendered for bloks whose component isn't registered in src/storyblok.js,
+ * e.g. a component just added in Storyblok. Draft content shows a
+ * placeholder; published content leaves the blok out.
+ */
+export default function FallbackBlok({ blok }) {
+  if (getContentVersion() !== "draft") {
+    return null;
+  }
+
+  return (
+    <BlokPlaceholder
+      blok={blok}
+      title={`No React component is registered for "${blok?.component}"`}
+      details={[
+        "Add one to the components map in src/storyblok.js, or remove the blok.",
+      ]}
+    />
+  );
+}
@@ -7,7 +7,7 @@ const Grid = ({ blok }) => {
       {...storyblokEditable(blok)}
       className="grid"
     >
-      {blok.columns.map((blok) => (
+      {(blok.columns || []).map((blok) => (
         <StoryblokComponent blok={blok} key={blok._uid} />
       ))}
     </div>
@@ -1,14 +1,20 @@
 import React from "react";
 import { storyblokEditable } from "@storyblok/react";
+import SbImage from "./SbImage";
 export default function HeroSection({ blok }) {
   return (
     <section
       {...storyblokEditable(blok)}
-      className="relative min-h-screen flex items-center justify-center bg-center bg-cover"
-      style={{
-        backgroundImage: `url('${blok.image?.filename}')`,
-      }}
+      className="relative min-h-screen flex items-center justify-center overflow-hidden"
     >
+      {/* Background image, loaded first as it is above the fold */}
+      <SbImage
+        image={blok.image}
+        loading="eager"
+        fetchpriority="high"
+        className="absolute inset-0 w-full h-full object-cover"
+      />
+
       {/* Overlay */}
       <div className="absolute inset-0 bg-black/60" />
 
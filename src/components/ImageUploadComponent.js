@@ -1,130 +1,409 @@
-import React, { useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import {
   uploadAsset,
   getAssets,
   deleteAsset,
+  updateAsset,
+  findAssetUsage,
+  findUnusedAssets,
+  getAssetTags,
+  createAssetTag,
+  getAssetFolders,
+  createAssetFolder,
+  updateAssetFolder,
+  deleteAssetFolder,
+  getErrorMessage,
 } from "../utils/storyblokManagement";
 import { StoryblokComponent, storyblokEditable } from "@storyblok/react";
+import useUploadQueue from "../hooks/useUploadQueue";
+import UploadQueue from "./UploadQueue";
+import AssetFolderNavigator from "./AssetFolderNavigator";
+import AssetToolbar from "./AssetToolbar";
+import AssetEditPanel from "./AssetEditPanel";
+import AssetDeleteDialog from "./AssetDeleteDialog";
+import UnusedAssetsReport from "./UnusedAssetsReport";
+import SbImage from "./SbImage";
+import {
+  findDuplicateAsset,
+  hashFile,
+  ORIGINAL_HASH_FIELD,
+} from "../utils/assetDuplicates";
+import { filterAssets, getAssetName, sortAssets } from "../utils/assetLibrary";
+import { getProcessingOptions, processImage } from "../utils/imageProcessing";
+import { createDeliveryClient } from "../utils/storyblokDelivery";
+import { getAccessToken } from "../utils/previewMode";
+import config from "../config";
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const VALID_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/svg+xml",
+];
+
+let deliveryClient;
+
+// Live content of a story, so assets only the published version shows
+// still count as used
+const getPublishedContent = async (story, { signal } = {}) => {
+  deliveryClient =
+    deliveryClient ||
+    createDeliveryClient({
+      token: getAccessToken("published"),
+      region: config.region,
+    });
+  const published = await deliveryClient.getStory(
+    story.full_slug,
+    { version: "published" },
+    { signal }
+  );
+  return published?.content || null;
+};
+
+const EMPTY_FILTERS = {
+  search: "",
+  type: "",
+  tagId: "",
+  from: "",
+  to: "",
+  sortBy: "newest",
+};
+
+const validateType = (file) =>
+  VALID_TYPES.includes(file.type)
+    ? null
+    : "Not a valid image file (JPG, PNG, GIF, WebP, SVG)";
+
+// Reject files the asset library should not receive
+const validateFile = (file) => {
+  if (file.size > MAX_FILE_SIZE) {
+    return "File size exceeds 10MB limit";
+  }
+  return validateType(file);
+};
+
 /**
- * Image Upload Component with Preview
+ * Image Upload Component with drag-and-drop upload queue
  */
 export default function ImageUploadComponent({ blok }) {
-  const [file, setFile] = useState(null);
-  const [preview, setPreview] = useState(null);
-  const [uploading, setUploading] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
   const [uploadedAssets, setUploadedAssets] = useState([]);
   const [loadingAssets, setLoadingAssets] = useState(false);
   const [message, setMessage] = useState("");
+  const [folders, setFolders] = useState([]);
+  // null is the root folder
+  const [currentFolder, setCurrentFolder] = useState(null);
+  // Lists the whole library instead of one folder; uploads go to the root
+  const [showAll, setShowAll] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [editingAsset, setEditingAsset] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [unusedReport, setUnusedReport] = useState(null);
+  const needsRefresh = useRef(false);
+  // Every asset in the space, loaded once for duplicate checks
+  const library = useRef(null);
+  // Asset URL -> content hash of assets downloaded for duplicate checks
+  const assetHashes = useRef(new Map());
+  const scanController = useRef(null);
+  // Resize/re-encode before upload when enabled on the blok
+  const processing = getProcessingOptions(blok);
 
-  // Handle file selection
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
-    if (selectedFile) {
-      setFile(selectedFile);
-
-      // Create preview
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setPreview(reader.result);
-      };
-      reader.readAsDataURL(selectedFile);
+  const loadLibrary = () => {
+    if (!library.current) {
+      library.current = getAssets().catch((error) => {
+        library.current = null;
+        throw error;
+      });
     }
+    return library.current;
   };
 
-  // Upload single image
-  const handleUpload = async () => {
-    if (!file) {
-      setMessage("Please select an image first");
+  const queue = useUploadQueue({
+    // Files go to the folder that was open when they were added
+    upload: async (file, options, item) => {
+      const asset = await uploadAsset(file, item.meta.folderId || "", options);
+      if (file === item.file) {
+        return asset;
+      }
+      // Record what a processed file was made from, so a later upload of
+      // the same original is found as a duplicate. Not worth failing over.
+      return hashFile(item.file)
+        .then((originalHash) =>
+          updateAsset(asset.id, {
+            meta_data: {
+              ...asset.meta_data,
+              [ORIGINAL_HASH_FIELD]: originalHash,
+            },
+          })
+        )
+        .catch(() => asset);
+    },
+    validate: validateFile,
+    prepare: processing
+      ? async (file) => {
+          const typeError = validateType(file);
+          if (typeError) {
+            throw new Error(typeError);
+          }
+          return processImage(file, processing);
+        }
+      : undefined,
+    // Offer to reuse an asset that is already in the space
+    checkDuplicate: async (file, original) =>
+      findDuplicateAsset(file, await loadLibrary(), {
+        original,
+        hashes: assetHashes.current,
+      }),
+    formatError: getErrorMessage,
+    onUploaded: () => {
+      needsRefresh.current = true;
+    },
+  });
+
+  // Handle file selection from the picker or a drop
+  const handleFiles = (files) => {
+    if (files && files.length > 0) {
+      setMessage("");
+      queue.addFiles(files, { folderId: currentFolder });
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragActive(true);
+  };
+
+  // Upload every file that has been added
+  const handleUpload = () => {
+    // Check if credentials are set
+    if (
+      !process.env.REACT_APP_STORYBLOK_SPACE_ID ||
+      !process.env.REACT_APP_STORYBLOK_MANAGEMENT_TOKEN
+    ) {
+      setMessage("❌ Missing Storyblok credentials. Check your .env file.");
       return;
     }
 
-    setUploading(true);
     setMessage("");
+    queue.startAll();
+  };
 
+  // Fetch the assets in the current folder, or the whole library
+  const fetchAssets = useCallback(async () => {
+    setLoadingAssets(true);
     try {
-      // Validate file size (max 10MB)
-      const maxSize = 10 * 1024 * 1024;
-      if (file.size > maxSize) {
-        setMessage("❌ File size exceeds 10MB limit");
-        setUploading(false);
-        return;
-      }
+      // in_folder=0 asks for the assets that aren't in any folder
+      const assets =
+        (await getAssets(showAll ? {} : { in_folder: currentFolder || 0 })) ||
+        [];
+      setUploadedAssets(
+        showAll || currentFolder
+          ? assets
+          : assets.filter((asset) => !asset.asset_folder_id)
+      );
+    } catch (error) {
+      setMessage(`❌ Failed to fetch assets: ${getErrorMessage(error)}`);
+    } finally {
+      setLoadingAssets(false);
+    }
+  }, [currentFolder, showAll]);
 
-      // Validate file type
-      const validTypes = [
-        "image/jpeg",
-        "image/png",
-        "image/gif",
-        "image/webp",
-        "image/svg+xml",
-      ];
-      if (!validTypes.includes(file.type)) {
-        setMessage(
-          "❌ Please select a valid image file (JPG, PNG, GIF, WebP, SVG)"
-        );
-        setUploading(false);
-        return;
-      }
+  const openFolder = (id) => {
+    setShowAll(false);
+    setCurrentFolder(id);
+  };
 
-      // Check if credentials are set
-      if (
-        !process.env.REACT_APP_STORYBLOK_SPACE_ID ||
-        !process.env.REACT_APP_STORYBLOK_MANAGEMENT_TOKEN
-      ) {
-        setMessage("❌ Missing Storyblok credentials. Check your .env file.");
-        setUploading(false);
-        return;
-      }
+  const showAllAssets = () => {
+    setShowAll(true);
+    setCurrentFolder(null);
+  };
 
-      const result = await uploadAsset(file);
+  const fetchFolders = useCallback(async () => {
+    try {
+      setFolders(await getAssetFolders());
+    } catch (error) {
+      setMessage(`❌ Failed to fetch folders: ${getErrorMessage(error)}`);
+    }
+  }, []);
 
-      setMessage(`✅ Image uploaded successfully!`);
-      console.log("Upload result:", result);
+  const fetchTags = useCallback(async () => {
+    try {
+      setTags(await getAssetTags());
+    } catch (error) {
+      setMessage(`❌ Failed to fetch tags: ${getErrorMessage(error)}`);
+    }
+  }, []);
 
-      // Reset form
-      setFile(null);
-      setPreview(null);
+  useEffect(() => {
+    fetchFolders();
+    fetchTags();
+  }, [fetchFolders, fetchTags]);
 
-      // Refresh assets list
+  // Reload the grid whenever another folder is opened
+  useEffect(() => {
+    fetchAssets();
+  }, [fetchAssets]);
+
+  // Refresh assets list once the queue has drained
+  useEffect(() => {
+    if (!queue.isBusy && needsRefresh.current) {
+      needsRefresh.current = false;
+      library.current = null;
       fetchAssets();
+    }
+  }, [queue.isBusy, fetchAssets]);
+
+  const handleCreateFolder = async (name, parentId) => {
+    try {
+      const folder = await createAssetFolder({ name, parent_id: parentId });
+      await fetchFolders();
+      openFolder(folder.id);
     } catch (error) {
-      console.error("Full error:", error);
-      const errorMsg = error.message || "Unknown error occurred";
-      setMessage(`❌ Upload failed: ${errorMsg}`);
-    } finally {
-      setUploading(false);
+      setMessage(`❌ Failed to create folder: ${getErrorMessage(error)}`);
     }
   };
 
-  // Fetch all assets
-  const fetchAssets = async () => {
-    setLoadingAssets(true);
+  const handleRenameFolder = async (id, name) => {
     try {
-      const assets = await getAssets();
-      setUploadedAssets(assets || []);
-      console.log("Assets fetched:", assets);
+      await updateAssetFolder(id, { name });
+      fetchFolders();
     } catch (error) {
-      setMessage(`❌ Failed to fetch assets: ${error.message}`);
-    } finally {
-      setLoadingAssets(false);
+      setMessage(`❌ Failed to rename folder: ${getErrorMessage(error)}`);
     }
   };
 
-  // Delete an asset
-  const handleDeleteAsset = async (assetId) => {
-    if (!window.confirm("Are you sure you want to delete this asset?")) {
+  const handleDeleteFolder = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"?`)) {
       return;
     }
 
     try {
-      await deleteAsset(assetId);
+      await deleteAssetFolder(folder.id);
+      openFolder(folder.parent_id || null);
+      fetchFolders();
+    } catch (error) {
+      setMessage(`❌ Failed to delete folder: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const visibleAssets = useMemo(
+    () => sortAssets(filterAssets(uploadedAssets, filters), filters.sortBy),
+    [uploadedAssets, filters]
+  );
+
+  const handleSaveAsset = async (assetId, assetData) => {
+    try {
+      const updated = await updateAsset(assetId, assetData);
+      setUploadedAssets((assets) =>
+        assets.map((asset) => (asset.id === assetId ? updated : asset))
+      );
+      setEditingAsset(null);
+      setMessage("✅ Asset updated successfully");
+    } catch (error) {
+      setMessage(`❌ Failed to update asset: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleCreateTag = async (name) => {
+    try {
+      const tag = await createAssetTag(name);
+      setTags((current) => [...current, tag]);
+      return tag;
+    } catch (error) {
+      setMessage(`❌ Failed to create tag: ${getErrorMessage(error)}`);
+      return null;
+    }
+  };
+
+  // Check where an asset is used before offering to delete it
+  const handleDeleteAsset = async (asset) => {
+    setDeleting({ asset, usage: null, error: null });
+    const update = (changes) =>
+      setDeleting((current) =>
+        current?.asset === asset ? { ...current, ...changes } : current
+      );
+
+    try {
+      update({ usage: await findAssetUsage(asset, { getPublishedContent }) });
+    } catch (error) {
+      update({ error: getErrorMessage(error) });
+    }
+  };
+
+  const confirmDeleteAsset = async () => {
+    const { asset } = deleting;
+    setDeleting(null);
+    try {
+      await deleteAsset(asset.id);
       setMessage("✅ Asset deleted successfully");
+      library.current = null;
       fetchAssets();
     } catch (error) {
-      setMessage(`❌ Failed to delete asset: ${error.message}`);
+      setMessage(`❌ Failed to delete asset: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const findUnused = async () => {
+    const controller = new AbortController();
+    scanController.current = controller;
+    setUnusedReport({ running: true, progress: { done: 0, total: 0 } });
+
+    try {
+      const assets = await findUnusedAssets({
+        getPublishedContent,
+        signal: controller.signal,
+        onProgress: (progress) =>
+          setUnusedReport((report) => ({ ...report, progress })),
+      });
+      setUnusedReport({ running: false, assets });
+    } catch (error) {
+      setUnusedReport(
+        error.name === "AbortError"
+          ? null
+          : { running: false, error: getErrorMessage(error) }
+      );
     }
   };
 
+  // The scan already showed these are unused, so delete without asking again
+  const deleteUnused = async (assets) => {
+    const deleted = [];
+    try {
+      for (const asset of assets) {
+        await deleteAsset(asset.id);
+        deleted.push(asset);
+      }
+      setMessage(
+        `✅ Deleted ${deleted.length} unused asset${
+          deleted.length === 1 ? "" : "s"
+        }`
+      );
+    } catch (error) {
+      setMessage(`❌ Failed to delete asset: ${getErrorMessage(error)}`);
+    }
+    setUnusedReport((report) => ({
+      ...report,
+      assets: report.assets.filter((asset) => !deleted.includes(asset)),
+    }));
+    library.current = null;
+    fetchAssets();
+  };
+
   return (
     <div
       className="max-w-4xl mx-auto p-6 space-y-8"
@@ -135,37 +414,44 @@ export default function ImageUploadComponent({ blok }) {
 
         {/* Upload Section */}
         <div className="mb-8">
-          <h2 className="text-xl font-semibold mb-4">Upload New Image</h2>
-
-          <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center">
-            {preview ? (
-              <div className="mb-4">
-                <img
-                  src={preview}
-                  alt="Preview"
-                  className="max-h-64 mx-auto rounded"
-                />
-                <p className="mt-2 text-sm text-gray-600">{file.name}</p>
-                <p className="text-xs text-gray-500">
-                  Size: {(file.size / 1024).toFixed(2)} KB
-                </p>
-              </div>
-            ) : (
-              <div className="py-8">
-                <p className="text-gray-600 mb-2">
-                  📁 Choose an image to upload
-                </p>
+          <h2 className="text-xl font-semibold mb-4">Upload New Images</h2>
+
+          <div
+            onDragOver={handleDragOver}
+            onDragLeave={() => setDragActive(false)}
+            onDrop={handleDrop}
+            className={`border-2 border-dashed rounded-lg p-6 text-center ${
+              dragActive ? "border-blue-500 bg-blue-50" : "border-gray-300"
+            }`}
+          >
+            <div className="py-8">
+              <p className="text-gray-600 mb-2">
+                📁 Drag images here or choose them to upload
+              </p>
+              <p className="text-xs text-gray-500">
+                Supported: JPG, PNG, GIF, WebP, SVG up to 10MB
+                {processing && " after optimizing"}
+              </p>
+              {processing && (
                 <p className="text-xs text-gray-500">
-                  Supported: JPG, PNG, GIF, WebP
+                  Images are resized
+                  {processing.maxDimension > 0 &&
+                    ` to at most ${processing.maxDimension}px`}
+                  {processing.format !== "original" &&
+                    `, converted to ${processing.format.toUpperCase()}`}{" "}
+                  and stripped of EXIF/GPS data before upload
                 </p>
-              </div>
-            )}
+              )}
+            </div>
 
             <input
               type="file"
               accept="image/*"
-              onChange={handleFileChange}
-              disabled={uploading}
+              multiple
+              onChange={(e) => {
+                handleFiles(e.target.files);
+                e.target.value = "";
+              }}
               className="hidden"
               id="fileInput"
             />
@@ -173,10 +459,12 @@ export default function ImageUploadComponent({ blok }) {
               htmlFor="fileInput"
               className="inline-block bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded cursor-pointer disabled:opacity-50"
             >
-              Select Image
+              Select Images
             </label>
           </div>
 
+          <UploadQueue queue={queue} />
+
           {message && (
             <div
               className={`mt-4 p-3 rounded ${
@@ -191,47 +479,136 @@ export default function ImageUploadComponent({ blok }) {
 
           <button
             onClick={handleUpload}
-            disabled={!file || uploading}
+            disabled={!queue.counts.pending}
             className="mt-4 w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {uploading ? "Uploading..." : "Upload Image"}
+            {queue.counts.pending
+              ? `Upload ${queue.counts.pending} Image${
+                  queue.counts.pending === 1 ? "" : "s"
+                }`
+              : queue.isBusy
+              ? "Uploading..."
+              : "Upload Images"}
           </button>
         </div>
 
         {/* Assets List Section */}
         <div>
+          <AssetFolderNavigator
+            folders={folders}
+            currentId={currentFolder}
+            showingAll={showAll}
+            onSelect={openFolder}
+            onShowAll={showAllAssets}
+            onCreate={handleCreateFolder}
+            onRename={handleRenameFolder}
+            onDelete={handleDeleteFolder}
+          />
           <div className="flex justify-between items-center mb-4">
-            <h2 className="text-xl font-semibold">Your Assets</h2>
-            <button
-              onClick={fetchAssets}
-              disabled={loadingAssets}
-              className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded disabled:opacity-50"
-            >
-              {loadingAssets ? "Loading..." : "Refresh"}
-            </button>
+            <h2 className="text-xl font-semibold">
+              Your Assets
+              {uploadedAssets.length > 0 &&
+                (visibleAssets.length === uploadedAssets.length
+                  ? ` (${uploadedAssets.length})`
+                  : ` (${visibleAssets.length} of ${uploadedAssets.length})`)}
+            </h2>
+            <div className="flex gap-2">
+              <button
+                onClick={findUnused}
+                disabled={unusedReport?.running}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded disabled:opacity-50"
+              >
+                Find unused assets
+              </button>
+              <button
+                onClick={fetchAssets}
+                disabled={loadingAssets}
+                className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded disabled:opacity-50"
+              >
+                {loadingAssets ? "Loading..." : "Refresh"}
+              </button>
+            </div>
           </div>
 
+          {unusedReport && (
+            <UnusedAssetsReport
+              report={unusedReport}
+              onStop={() => scanController.current.abort()}
+              onDelete={(asset) => deleteUnused([asset])}
+              onDeleteAll={() => {
+                if (
+                  window.confirm(
+                    `Delete all ${unusedReport.assets.length} unused assets?`
+                  )
+                ) {
+                  deleteUnused(unusedReport.assets);
+                }
+              }}
+              onClose={() => setUnusedReport(null)}
+            />
+          )}
+
+          <AssetToolbar filters={filters} tags={tags} onChange={setFilters} />
+
           {loadingAssets ? (
             <p className="text-center text-gray-500">Loading assets...</p>
           ) : uploadedAssets.length === 0 ? (
             <p className="text-center text-gray-500">No assets yet</p>
+          ) : visibleAssets.length === 0 ? (
+            <p className="text-center text-gray-500">
+              No assets match these filters{" "}
+              <button
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                className="underline"
+              >
+                Clear filters
+              </button>
+            </p>
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-              {uploadedAssets.map((asset) => (
+              {visibleAssets.map((asset) => (
                 <div
                   key={asset.id}
                   className="border rounded-lg overflow-hidden shadow"
                 >
-                  <img
-                    src={asset.filename}
-                    alt={asset.name}
+                  <SbImage
+                    image={asset}
+                    width={400}
+                    height={300}
+                    sizes="(min-width: 1024px) 300px, (min-width: 768px) 50vw, 100vw"
+                    widths={[400, 800]}
                     className="w-full h-48 object-cover"
                   />
                   <div className="p-4">
                     <p className="font-semibold text-sm truncate">
-                      {asset.name}
+                      {getAssetName(asset)}
+                    </p>
+                    <p className="text-xs text-gray-500">ID: {asset.id}</p>
+                    <p
+                      className={`text-xs truncate ${
+                        asset.alt ? "text-gray-600" : "text-orange-600"
+                      }`}
+                    >
+                      {asset.alt ? `Alt: ${asset.alt}` : "⚠️ No alt text"}
                     </p>
-                    <p className="text-xs text-gray-500 mb-3">ID: {asset.id}</p>
+                    <div className="flex flex-wrap gap-1 mt-1 mb-3">
+                      {(asset.internal_tags_list || []).map((tag) => (
+                        <span
+                          key={tag.id}
+                          className="text-xs bg-blue-100 text-blue-800 rounded px-1"
+                        >
+                          {tag.name}
+                        </span>
+                      ))}
+                    </div>
+
+                    {/* Edit Button */}
+                    <button
+                      onClick={() => setEditingAsset(asset)}
+                      className="w-full bg-blue-100 hover:bg-blue-200 text-blue-800 text-xs font-bold py-2 px-2 rounded mb-2"
+                    >
+                      Edit details
+                    </button>
 
                     {/* Copy URL Button */}
                     <button
@@ -246,7 +623,7 @@ export default function ImageUploadComponent({ blok }) {
 
                     {/* Delete Button */}
                     <button
-                      onClick={() => handleDeleteAsset(asset.id)}
+                      onClick={() => handleDeleteAsset(asset)}
                       className="w-full bg-red-500 hover:bg-red-600 text-white text-xs font-bold py-2 px-2 rounded"
                     >
                       Delete
@@ -258,6 +635,24 @@ export default function ImageUploadComponent({ blok }) {
           )}
         </div>
       </div>
+
+      {editingAsset && (
+        <AssetEditPanel
+          asset={editingAsset}
+          tags={tags}
+          onSave={handleSaveAsset}
+          onCreateTag={handleCreateTag}
+          onClose={() => setEditingAsset(null)}
+        />
+      )}
+
+      {deleting && (
+        <AssetDeleteDialog
+          {...deleting}
+          onConfirm={confirmDeleteAsset}
+          onClose={() => setDeleting(null)}
+        />
+      )}
     </div>
   );
 }
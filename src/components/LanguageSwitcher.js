@@ -0,0 +1,34 @@
+import React from "react";
+
+/**
+ * Links to the other language versions of the current page
+ * @param {Array} alternates - [{ language, hreflang, path }] from getLanguageAlternates
+ * @param {string} current - Current language code, "" for the default language
+ */
+export default function LanguageSwitcher({ alternates, current }) {
+  if (alternates.length < 2) {
+    return null;
+  }
+
+  return (
+    <nav aria-label="Language" className="flex justify-end gap-2 p-2 text-sm">
+      {alternates.map(({ language, hreflang, path }) =>
+        language === current ? (
+          <span key={hreflang} aria-current="page" className="font-bold">
+            {hreflang.toUpperCase()}
+          </span>
+        ) : (
+          <a
+            key={hreflang}
+            href={path}
+            hrefLang={hreflang}
+            lang={hreflang}
+            className="text-blue-600 hover:underline"
+          >
+            {hreflang.toUpperCase()}
+          </a>
+        )
+      )}
+    </nav>
+  );
+}
@@ -1,13 +1,38 @@
 import { StoryblokComponent, storyblokEditable } from "@storyblok/react";
+import StoryLink from "./StoryLink";
  
-const Page = ({ blok }) => (
-  <main {...storyblokEditable(blok)}>
-    {blok.body
-      ? blok.body.map((blok) => (
-          <StoryblokComponent blok={blok} key={blok._uid} />
-        ))
-      : null}
-  </main>
-);
+const Page = ({ blok }) => {
+  // Relations that couldn't be resolved stay UUID strings
+  const related = (blok.related || []).filter(
+    (story) => story && typeof story === "object"
+  );
+
+  return (
+    <main {...storyblokEditable(blok)}>
+      {blok.body
+        ? blok.body.map((blok) => (
+            <StoryblokComponent blok={blok} key={blok._uid} />
+          ))
+        : null}
+      {related.length > 0 && (
+        <nav aria-label="Related pages" className="max-w-3xl mx-auto p-6">
+          <h2 className="text-xl font-bold mb-2">Related</h2>
+          <ul className="list-disc pl-6">
+            {related.map((story) => (
+              <li key={story.uuid}>
+                <StoryLink
+                  link={{ linktype: "story", story }}
+                  className="text-blue-600 hover:underline"
+                >
+                  {story.name}
+                </StoryLink>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
+    </main>
+  );
+};
  
-export default Page;
\ No newline at end of file
+export default Page;
@@ -0,0 +1,17 @@
+import React from "react";
+
+/**
+ * Notice shown while a preview link shows draft content. Leaving preview
+ * needs a full reload to switch access tokens, so the link bypasses the
+ * router.
+ */
+export default function PreviewBanner() {
+  return (
+    <div className="bg-yellow-300 text-yellow-900 text-sm text-center py-1">
+      Preview mode: showing draft content.{" "}
+      <a href="?preview=off" rel="external" className="underline font-semibold">
+        Exit preview
+      </a>
+    </div>
+  );
+}
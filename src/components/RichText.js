@@ -0,0 +1,144 @@
+import React, { Fragment } from "react";
+import { StoryblokComponent } from "@storyblok/react";
+import SbImage from "./SbImage";
+import { useRouter } from "./Router";
+import config from "../config";
+import { splitLocale } from "../utils/locales";
+import { getLinkHref, isExternalHref } from "../utils/links";
+
+/**
+ * Default renderers for rich text nodes: (node, children, context) => ReactNode
+ */
+export const NODE_RESOLVERS = {
+  doc: (node, children) => children,
+  paragraph: (node, children) => <p>{children}</p>,
+  heading: (node, children) => {
+    const Heading = `h${Math.min(Math.max(node.attrs?.level || 1, 1), 6)}`;
+    return <Heading>{children}</Heading>;
+  },
+  bullet_list: (node, children) => (
+    <ul className="list-disc pl-6">{children}</ul>
+  ),
+  ordered_list: (node, children) => (
+    <ol start={node.attrs?.order} className="list-decimal pl-6">
+      {children}
+    </ol>
+  ),
+  list_item: (node, children) => <li>{children}</li>,
+  blockquote: (node, children) => (
+    <blockquote className="border-l-4 pl-4 italic">{children}</blockquote>
+  ),
+  code_block: (node, children) => (
+    <pre className="bg-gray-100 p-3 rounded overflow-x-auto">
+      <code className={node.attrs?.class}>{children}</code>
+    </pre>
+  ),
+  horizontal_rule: () => <hr />,
+  hard_break: () => <br />,
+  image: (node) => (
+    <SbImage
+      image={{ filename: node.attrs?.src, alt: node.attrs?.alt }}
+      title={node.attrs?.title || undefined}
+      sizes="(min-width: 768px) 768px, 100vw"
+    />
+  ),
+  emoji: (node) => (
+    <span role="img" aria-label={node.attrs?.name}>
+      {node.attrs?.emoji}
+    </span>
+  ),
+  // Bloks inserted into the rich text field
+  blok: (node) =>
+    (node.attrs?.body || []).map((blok) => (
+      <StoryblokComponent blok={blok} key={blok._uid} />
+    )),
+  text: (node) => node.text,
+};
+
+/**
+ * Default renderers for rich text marks: (mark, children, context) => ReactNode
+ */
+export const MARK_RESOLVERS = {
+  bold: (mark, children) => <strong>{children}</strong>,
+  italic: (mark, children) => <em>{children}</em>,
+  strike: (mark, children) => <s>{children}</s>,
+  underline: (mark, children) => <u>{children}</u>,
+  code: (mark, children) => <code>{children}</code>,
+  superscript: (mark, children) => <sup>{children}</sup>,
+  subscript: (mark, children) => <sub>{children}</sub>,
+  styled: (mark, children) => (
+    <span className={mark.attrs?.class}>{children}</span>
+  ),
+  highlight: (mark, children) => (
+    <mark style={{ backgroundColor: mark.attrs?.color }}>{children}</mark>
+  ),
+  textStyle: (mark, children) => (
+    <span style={{ color: mark.attrs?.color }}>{children}</span>
+  ),
+  anchor: (mark, children) => <span id={mark.attrs?.id}>{children}</span>,
+  link: (mark, children, { language }) => {
+    const href = getLinkHref(mark.attrs, { language });
+    const target = mark.attrs?.target || undefined;
+    return (
+      <a
+        href={href}
+        target={target}
+        rel={
+          target === "_blank" || isExternalHref(href) ? "noopener" : undefined
+        }
+      >
+        {children}
+      </a>
+    );
+  },
+};
+
+/**
+ * Whether a rich text field has no content
+ * @param {Object} doc - Rich text document
+ * @returns {boolean}
+ */
+export const isRichTextEmpty = (doc) =>
+  !doc?.content?.some(
+    (node) => node.type !== "paragraph" || (node.content || []).length > 0
+  );
+
+/**
+ * Render a Storyblok rich text field. Unknown nodes render their children
+ * and unknown marks are ignored; pass `resolvers` to override or add
+ * renderers, e.g. { nodes: { heading: (node, children) => ... } }.
+ */
+export default function RichText({ doc, resolvers = {}, className }) {
+  const router = useRouter();
+  if (isRichTextEmpty(doc)) {
+    return null;
+  }
+
+  const nodes = { ...NODE_RESOLVERS, ...resolvers.nodes };
+  const marks = { ...MARK_RESOLVERS, ...resolvers.marks };
+  const context = {
+    language: splitLocale(router?.pathname, config.languages).language,
+  };
+
+  const renderNode = (node, key) => {
+    const children = (node.content || []).map(renderNode);
+    const resolve = nodes[node.type];
+    let output = resolve ? resolve(node, children, context) : children;
+
+    // Marks wrap the text, outermost first
+    if (node.type === "text") {
+      output = [...(node.marks || [])]
+        .reverse()
+        .reduce(
+          (wrapped, mark) =>
+            marks[mark.type]
+              ? marks[mark.type](mark, wrapped, context)
+              : wrapped,
+          output
+        );
+    }
+    return <Fragment key={key}>{output}</Fragment>;
+  };
+
+  return <div className={className}>{renderNode(doc, "doc")}</div>;
+}
@@ -0,0 +1,105 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { getInternalLinkTarget } from "../utils/routing";
+
+const RouterContext = createContext(null);
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+  hash: window.location.hash,
+});
+
+// useLayoutEffect warns when rendering outside the browser, e.g. when prerendering
+const useBrowserLayoutEffect =
+  typeof window === "undefined" ? useEffect : useLayoutEffect;
+
+// Scroll to the anchor in the hash, or to the top of a new page
+const scrollToTarget = (hash) => {
+  const target =
+    hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+  if (target) {
+    target.scrollIntoView();
+  } else {
+    window.scrollTo(0, 0);
+  }
+};
+
+/**
+ * History-based client-side routing. Clicks on same-origin links anywhere
+ * in the page are handled without a full reload.
+ * @param {Object} location - { pathname, search, hash } to render outside
+ *   the browser, e.g. when prerendering
+ */
+export default function Router({ children, location: initialLocation }) {
+  const [location, setLocation] = useState(
+    () => initialLocation || readLocation()
+  );
+  // Hash to scroll to once the page navigated to has rendered; null when
+  // the scroll position should be left alone (replace, back/forward)
+  const pendingScroll = useRef(null);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const url = new URL(to, window.location.href);
+    const path = url.pathname + url.search + url.hash;
+    if (
+      path !==
+      window.location.pathname + window.location.search + window.location.hash
+    ) {
+      window.history[replace ? "replaceState" : "pushState"]({}, "", path);
+    }
+    pendingScroll.current = replace ? null : url.hash;
+    setLocation(readLocation());
+  }, []);
+
+  useBrowserLayoutEffect(() => {
+    if (pendingScroll.current !== null) {
+      scrollToTarget(pendingScroll.current);
+      pendingScroll.current = null;
+    }
+  }, [location]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      pendingScroll.current = null;
+      setLocation(readLocation());
+    };
+    const handleClick = (event) => {
+      const path = getInternalLinkTarget(event);
+      if (path) {
+        event.preventDefault();
+        navigate(path);
+      }
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    document.addEventListener("click", handleClick);
+    return () => {
+      window.removeEventListener("popstate", handlePopState);
+      document.removeEventListener("click", handleClick);
+    };
+  }, [navigate]);
+
+  const value = useMemo(
+    () => ({ ...location, navigate }),
+    [location, navigate]
+  );
+
+  return (
+    <RouterContext.Provider value={value}>{children}</RouterContext.Provider>
+  );
+}
+
+/**
+ * Current location and a navigate(to, { replace }) function
+ * @returns {Object} { pathname, search, hash, navigate }
+ */
+export const useRouter = () => useContext(RouterContext);
@@ -0,0 +1,67 @@
+import React from "react";
+import { getImageDimensions } from "../utils/assetLibrary";
+import {
+  DEFAULT_WIDTHS,
+  getFocusPosition,
+  getImageSrcSet,
+  getImageUrl,
+} from "../utils/storyblokImage";
+
+/**
+ * Responsive image for a Storyblok asset, served through the image service
+ *
+ * Pass both `width` and `height` to crop to that aspect ratio around the
+ * asset's focal point; otherwise the original aspect ratio is kept. The
+ * width/height attributes let the browser reserve space before loading.
+ */
+export default function SbImage({
+  image,
+  width,
+  height,
+  sizes = "100vw",
+  widths = DEFAULT_WIDTHS,
+  format = "webp",
+  quality,
+  loading = "lazy",
+  alt,
+  style,
+  ...rest
+}) {
+  if (!image?.filename) {
+    return null;
+  }
+
+  const original = getImageDimensions(image.filename);
+  const aspectRatio = width && height ? width / height : 0;
+  // Intrinsic size for the width/height attributes
+  const size = aspectRatio
+    ? { width, height }
+    : width && original
+    ? { width, height: Math.round((width * original.height) / original.width) }
+    : original || { width };
+  const options = { format, quality, focus: image.focus };
+  // Fallback for browsers without srcset support
+  const fallbackWidth = Math.min(width || 1280, original?.width || Infinity);
+
+  return (
+    <img
+      src={getImageUrl(image.filename, {
+        ...options,
+        width: fallbackWidth,
+        height: aspectRatio ? fallbackWidth / aspectRatio : 0,
+      })}
+      srcSet={
+        getImageSrcSet(image.filename, { ...options, widths, aspectRatio }) ||
+        undefined
+      }
+      sizes={sizes}
+      width={size.width}
+      height={size.height}
+      loading={loading}
+      decoding="async"
+      alt={alt ?? image.alt ?? ""}
+      style={{ objectPosition: getFocusPosition(image), ...style }}
+      {...rest}
+    />
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { useRouter } from "./Router";
+import config from "../config";
+import { splitLocale } from "../utils/locales";
+import { getLinkHref, isExternalHref } from "../utils/links";
+
+/**
+ * Link for a Storyblok multilink field. Story links point at the linked
+ * story's current path in the page's language, URLs and assets at their
+ * URL and emails at mailto:. An empty link renders its children without a
+ * link.
+ * @param {Object} link - Multilink field value, or { linktype: "story", story }
+ *   for a resolved relation
+ * @param {React.ReactNode} children - Link content
+ */
+export default function StoryLink({ link, children, ...props }) {
+  const router = useRouter();
+  const { language } = splitLocale(router?.pathname, config.languages);
+  const href = getLinkHref(link, { language });
+  if (!href) {
+    return <span className={props.className}>{children}</span>;
+  }
+
+  const target = link.target || undefined;
+  return (
+    <a
+      href={href}
+      target={target}
+      rel={target === "_blank" || isExternalHref(href) ? "noopener" : undefined}
+      {...props}
+    >
+      {children}
+    </a>
+  );
+}
@@ -1,4 +1,9 @@
 import React, { useState } from "react";
+import {
+  signAssetUpload,
+  deleteAsset,
+  getErrorMessage,
+} from "../utils/storyblokManagement";
 
 /**
  * Diagnostic component to test the Storyblok Management API
@@ -72,38 +77,34 @@ export default function StoryblokDiagnostic() {
       addResult("API Connection", "❌", error.message);
     }
 
-    // Test 3: Test asset upload endpoint
+    // Test 3: Test the signed asset upload handshake. Uploads are registered
+    // first and the file goes to S3 afterwards, so only the first step runs
+    // here and the placeholder asset is removed again.
     try {
-      // Create a small test file
-      const testBlob = new Blob(["test"], { type: "image/png" });
-      const testFile = new File([testBlob], "test.png", { type: "image/png" });
+      const signed = await signAssetUpload({
+        filename: "diagnostic-test.png",
+        size: "1x1",
+      });
 
-      const formData = new FormData();
-      formData.append("file", testFile);
-
-      const response = await fetch(
-        `https://mapi.storyblok.com/v1/spaces/${spaceId}/assets`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: token,
-          },
-          body: formData,
-        }
-      );
-
-      if (response.ok) {
-        addResult("Asset Upload", "✅", "Test upload successful");
+      if (signed.post_url && signed.fields) {
+        addResult(
+          "Asset Upload",
+          "✅",
+          `Signed upload request received (asset ${signed.id})`
+        );
       } else {
-        const errorText = await response.text();
         addResult(
           "Asset Upload",
           "⚠️",
-          `API returned ${response.status}: ${response.statusText}. Error: ${errorText}`
+          `Unexpected response: ${JSON.stringify(signed)}`
         );
       }
+
+      if (signed.id) {
+        await deleteAsset(signed.id);
+      }
     } catch (error) {
-      addResult("Asset Upload", "❌", error.message);
+      addResult("Asset Upload", "❌", getErrorMessage(error));
     }
 
     setLoading(false);
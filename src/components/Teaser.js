@@ -1,10 +1,19 @@
 import { storyblokEditable } from "@storyblok/react";
+import RichText from "./RichText";
+import StoryLink from "./StoryLink";
+import { getLinkHref } from "../utils/links";
 
 const Teaser = ({ blok }) => {
   return (
-    <h2 style={{ textAlign: "left" }} {...storyblokEditable(blok)}>
-      {blok.headline}
-    </h2>
+    <div {...storyblokEditable(blok)}>
+      <h2 style={{ textAlign: "left" }}>{blok.headline}</h2>
+      <RichText doc={blok.text} className="space-y-4" />
+      {getLinkHref(blok.link) && (
+        <StoryLink link={blok.link} className="text-blue-600 underline">
+          {blok.link_text || "Read more"}
+        </StoryLink>
+      )}
+    </div>
   );
 };
 
@@ -0,0 +1,83 @@
+import React from "react";
+import { getAssetName } from "../utils/assetLibrary";
+import { buttonClass, formatSize } from "./assetUi";
+import SbImage from "./SbImage";
+
+/**
+ * Result of a scan for assets no story references, from findUnusedAssets.
+ * `report` is { running, progress: { done, total }, assets, error }.
+ */
+export default function UnusedAssetsReport({
+  report,
+  onStop,
+  onDelete,
+  onDeleteAll,
+  onClose,
+}) {
+  const { running, progress, assets, error } = report;
+  const totalSize = (assets || []).reduce(
+    (sum, asset) => sum + (asset.content_length || 0),
+    0
+  );
+
+  return (
+    <div className="mb-4 border rounded-lg p-3 bg-yellow-50 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-semibold">
+          {running
+            ? `Scanning stories... ${progress.done}/${progress.total}`
+            : error
+            ? `❌ Scan failed: ${error}`
+            : `${assets.length} unused asset${
+                assets.length === 1 ? "" : "s"
+              } (${formatSize(totalSize)})`}
+        </span>
+        <div className="flex gap-2">
+          {running ? (
+            <button onClick={onStop} className={buttonClass}>
+              Stop
+            </button>
+          ) : (
+            <>
+              {assets?.length > 0 && (
+                <button
+                  onClick={onDeleteAll}
+                  className="text-xs font-bold py-1 px-2 rounded bg-red-500 hover:bg-red-600 text-white"
+                >
+                  Delete all
+                </button>
+              )}
+              <button onClick={onClose} className={buttonClass}>
+                Close
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {!running && assets?.length > 0 && (
+        <ul className="space-y-1 max-h-64 overflow-y-auto">
+          {assets.map((asset) => (
+            <li key={asset.id} className="flex items-center gap-2">
+              <SbImage
+                image={asset}
+                width={32}
+                height={32}
+                sizes="32px"
+                widths={[32, 64]}
+                className="w-8 h-8 object-cover rounded flex-shrink-0"
+              />
+              <span className="flex-1 truncate">{getAssetName(asset)}</span>
+              <span className="text-xs text-gray-500">
+                {formatSize(asset.content_length)}
+              </span>
+              <button onClick={() => onDelete(asset)} className={buttonClass}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
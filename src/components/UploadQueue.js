@@ -0,0 +1,178 @@
+import React from "react";
+import { buttonClass, formatSize } from "./assetUi";
+
+const STATUS_LABELS = {
+  processing: "Preparing...",
+  duplicate: "⚠️ Already in the library",
+  pending: "Ready",
+  queued: "Waiting...",
+  uploading: "Uploading",
+  paused: "Paused",
+  done: "✅ Uploaded",
+  error: "❌ Failed",
+  cancelled: "Cancelled",
+};
+
+const DUPLICATE_REASONS = {
+  content: "identical to",
+  filename: "same name as",
+};
+
+/**
+ * Per-file rows for the upload queue from useUploadQueue, with a summary
+ * of successes and failures once uploads have finished
+ */
+export default function UploadQueue({ queue }) {
+  const { items, counts } = queue;
+  if (items.length === 0) {
+    return null;
+  }
+
+  const failures = items.filter((item) => item.status === "error");
+  const reused = items.filter((item) => item.reused).length;
+  const finished =
+    (counts.done || 0) + (counts.error || 0) + (counts.cancelled || 0);
+
+  return (
+    <div className="mt-4 space-y-2 text-left">
+      {items.map((item) => (
+        <div
+          key={item.id}
+          className="flex items-center gap-3 border rounded p-2"
+        >
+          <img
+            src={item.previewUrl}
+            alt=""
+            className="w-12 h-12 object-cover rounded flex-shrink-0"
+          />
+          <div className="flex-1 min-w-0">
+            <div className="flex justify-between text-sm">
+              <span className="truncate font-semibold">{item.file.name}</span>
+              <span className="text-xs text-gray-500 ml-2 whitespace-nowrap">
+                {item.prepared?.processed
+                  ? `${formatSize(item.prepared.originalSize)} → ${formatSize(
+                      item.prepared.size
+                    )}`
+                  : formatSize(item.file.size)}
+              </span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded mt-1 overflow-hidden">
+              <div
+                className={`h-full ${
+                  item.status === "error" ? "bg-red-500" : "bg-green-500"
+                }`}
+                style={{ width: `${Math.round(item.progress * 100)}%` }}
+              />
+            </div>
+            <p className="text-xs text-gray-600 mt-1">
+              {item.reused
+                ? "✅ Using existing asset"
+                : STATUS_LABELS[item.status]}
+              {item.status === "uploading" &&
+                ` ${Math.round(item.progress * 100)}%`}
+              {item.error && `: ${item.error}`}
+              {item.status === "duplicate" && (
+                <>
+                  {`: ${DUPLICATE_REASONS[item.duplicate.reason]} `}
+                  <a
+                    href={item.duplicate.asset.filename}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="underline"
+                  >
+                    {item.duplicate.asset.short_filename ||
+                      `asset ${item.duplicate.asset.id}`}
+                  </a>
+                </>
+              )}
+            </p>
+          </div>
+          <div className="flex flex-col gap-1">
+            {item.status === "duplicate" && (
+              <>
+                <button
+                  onClick={() => queue.reuse(item.id)}
+                  className={buttonClass}
+                >
+                  Use existing
+                </button>
+                <button
+                  onClick={() => queue.uploadAnyway(item.id)}
+                  className={buttonClass}
+                >
+                  Upload anyway
+                </button>
+              </>
+            )}
+            {["pending", "queued", "uploading"].includes(item.status) && (
+              <button
+                onClick={() => queue.pause(item.id)}
+                className={buttonClass}
+              >
+                Pause
+              </button>
+            )}
+            {item.status === "paused" && (
+              <button
+                onClick={() => queue.resume(item.id)}
+                className={buttonClass}
+              >
+                Resume
+              </button>
+            )}
+            {["duplicate", "pending", "queued", "uploading", "paused"].includes(
+              item.status
+            ) && (
+              <button
+                onClick={() => queue.cancel(item.id)}
+                className={buttonClass}
+              >
+                Cancel
+              </button>
+            )}
+            {["error", "cancelled"].includes(item.status) && !item.invalid && (
+              <button
+                onClick={() => queue.retry(item.id)}
+                className={buttonClass}
+              >
+                Retry
+              </button>
+            )}
+            {["done", "error", "cancelled"].includes(item.status) && (
+              <button
+                onClick={() => queue.remove(item.id)}
+                className={buttonClass}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {!queue.isBusy && finished > 0 && (
+        <div className="p-3 rounded bg-gray-100 text-sm">
+          <div className="flex justify-between items-center">
+            <span>
+              {(counts.done || 0) - reused} uploaded,{" "}
+              {reused > 0 && `${reused} reused, `}
+              {counts.error || 0} failed, {counts.cancelled || 0} cancelled
+            </span>
+            <button onClick={queue.clearFinished} className={buttonClass}>
+              Clear finished
+            </button>
+          </div>
+          {failures.length > 0 && (
+            <ul className="mt-2 text-red-800 text-xs list-disc list-inside">
+              {failures.map((item) => (
+                <li key={item.id}>
+                  {item.file.name}: {item.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
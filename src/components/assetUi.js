@@ -0,0 +1,20 @@
+/**
+ * Class names and formatting shared by the asset library components
+ */
+
+export const buttonClass =
+  "text-xs font-bold py-1 px-2 rounded bg-gray-200 hover:bg-gray-300 text-gray-800";
+
+// Larger variant for the edit panel and dialogs
+export const panelButtonClass =
+  "text-xs font-bold py-2 px-3 rounded bg-gray-200 hover:bg-gray-300 text-gray-800";
+
+/**
+ * File size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512.00 KB" or "1.50 MB"
+ */
+export const formatSize = (bytes = 0) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(2)} KB`;
@@ -0,0 +1,46 @@
+import React, { forwardRef } from "react";
+import BlokErrorBoundary from "./BlokErrorBoundary";
+import FallbackBlok from "./FallbackBlok";
+
+/**
+ * Wrap a blok component in its own error boundary
+ * @param {Function} BlokComponent - Component rendering a `blok` prop
+ * @returns {Object} Wrapped component
+ */
+export const withBlokBoundary = (BlokComponent) => {
+  const Wrapped = forwardRef((props, ref) => (
+    <BlokErrorBoundary blok={props.blok}>
+      <BlokComponent ref={ref} {...props} />
+    </BlokErrorBoundary>
+  ));
+  Wrapped.displayName = `WithBlokBoundary(${
+    BlokComponent.displayName || BlokComponent.name || "Blok"
+  })`;
+  return Wrapped;
+};
+
+/**
+ * Build the components map for storyblokInit. Every component gets an error
+ * boundary, and bloks of unregistered components render FallbackBlok instead
+ * of the empty div StoryblokComponent would show.
+ * @param {Object} components - Component name to React component
+ * @returns {Object} Components map
+ */
+export default function registerBloks(components) {
+  const wrapped = Object.fromEntries(
+    Object.entries(components).map(([name, BlokComponent]) => [
+      name,
+      withBlokBoundary(BlokComponent),
+    ])
+  );
+  const fallback = withBlokBoundary(FallbackBlok);
+
+  // StoryblokComponent looks components up by key, so any missing key resolves
+  return new Proxy(wrapped, {
+    get: (target, key) =>
+      typeof key === "string" &&
+      !Object.prototype.hasOwnProperty.call(target, key)
+        ? fallback
+        : target[key],
+  });
+}
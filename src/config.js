@@ -0,0 +1,50 @@
+/**
+ * App configuration, read from REACT_APP_* variables in .env
+ */
+
+// Draft content is only available in builds made with
+// REACT_APP_STORYBLOK_PREVIEW=true, and during `npm start`
+const previewEnabled =
+  process.env.REACT_APP_STORYBLOK_PREVIEW === "true" ||
+  process.env.NODE_ENV === "development";
+
+const config = {
+  previewEnabled,
+  // Content Delivery API tokens. The preview token can read drafts and is
+  // ignored unless preview is enabled; the public token only reads
+  // published content.
+  previewToken: previewEnabled
+    ? process.env.REACT_APP_STORYBLOK_PREVIEW_TOKEN || ""
+    : "",
+  publicToken: process.env.REACT_APP_STORYBLOK_PUBLIC_TOKEN || "",
+  // "" (EU), "us", "ca", "ap" or "cn"
+  region: process.env.REACT_APP_STORYBLOK_REGION || "",
+  // `?preview=<secret>` switches a browser session to draft content
+  previewSecret: previewEnabled
+    ? process.env.REACT_APP_STORYBLOK_PREVIEW_SECRET || ""
+    : "",
+  // Language of unprefixed paths, used for hreflang and <html lang>
+  defaultLanguage: process.env.REACT_APP_STORYBLOK_DEFAULT_LANGUAGE || "en",
+  // Other languages of the space ("de,fr"), served under "/de/...", "/fr/..."
+  languages: (process.env.REACT_APP_STORYBLOK_LANGUAGES || "")
+    .split(",")
+    .map((language) => language.trim())
+    .filter(Boolean),
+  // Language to use for untranslated fields instead of the default one
+  fallbackLanguage: process.env.REACT_APP_STORYBLOK_FALLBACK_LANGUAGE || "",
+  // Story rendered at "/"
+  homeSlug: process.env.REACT_APP_STORYBLOK_HOME_SLUG || "home",
+  // Story rendered when no story matches the path
+  notFoundSlug: process.env.REACT_APP_STORYBLOK_NOT_FOUND_SLUG || "not-found",
+  // Public origin for canonical and Open Graph URLs; the current origin if unset
+  siteUrl: (process.env.REACT_APP_SITE_URL || "").replace(/\/+$/, ""),
+  // Appended to page titles ("About | Site name") and used as og:site_name
+  siteName: process.env.REACT_APP_SITE_NAME || "",
+  // Webhook server (npm run webhook) polled for invalidated stories, if any
+  webhookServerUrl: (process.env.REACT_APP_WEBHOOK_SERVER_URL || "").replace(
+    /\/+$/,
+    ""
+  ),
+};
+
+export default config;
@@ -0,0 +1,28 @@
+import { useEffect } from "react";
+
+/**
+ * Keep `<link rel="alternate" hreflang>` tags in the document head in line
+ * with the language versions of the current page. The default language
+ * version is also marked as x-default.
+ * @param {Array} alternates - [{ language, hreflang, path }] from getLanguageAlternates
+ */
+export default function useAlternateLinks(alternates) {
+  const key = JSON.stringify(alternates);
+
+  useEffect(() => {
+    const links = JSON.parse(key).flatMap(({ language, hreflang, path }) =>
+      (language ? [hreflang] : [hreflang, "x-default"]).map((value) => {
+        const link = document.createElement("link");
+        link.rel = "alternate";
+        link.hreflang = value;
+        link.href = new URL(path, window.location.origin).href;
+        return link;
+      })
+    );
+    // A single language needs no alternates
+    if (links.length > 2) {
+      document.head.append(...links);
+    }
+    return () => links.forEach((link) => link.remove());
+  }, [key]);
+}
@@ -0,0 +1,31 @@
+import { useEffect } from "react";
+import { checkForUpdates } from "../utils/storyLoader";
+
+/**
+ * Check for newer published content when the page opens, when the tab
+ * becomes visible again and when the connection comes back. Cached stories
+ * that turn out stale are loaded again by useStory.
+ * @param {boolean} enabled - Off for draft content, which is never cached for long
+ */
+export default function useContentUpdates(enabled) {
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    const check = () => {
+      if (document.visibilityState === "hidden" || navigator.onLine === false) {
+        return;
+      }
+      // Another try follows on the next visit or reconnect
+      checkForUpdates().catch(() => {});
+    };
+
+    check();
+    document.addEventListener("visibilitychange", check);
+    window.addEventListener("online", check);
+    return () => {
+      document.removeEventListener("visibilitychange", check);
+      window.removeEventListener("online", check);
+    };
+  }, [enabled]);
+}
@@ -0,0 +1,53 @@
+import { useEffect } from "react";
+
+const selectorFor = ({ name, property, rel }) => {
+  if (rel) return `link[rel="${rel}"]`;
+  return name ? `meta[name="${name}"]` : `meta[property="${property}"]`;
+};
+
+/**
+ * Apply a page's title, meta tags, links and JSON-LD to the document head.
+ * Tags from public/index.html with the same name are swapped out while the
+ * page is shown and put back afterwards.
+ * @param {Object|null} head - { title, meta, links, jsonLd } from getPageHead;
+ *   null leaves the head alone, e.g. while loading
+ */
+export default function useDocumentHead(head) {
+  const key = JSON.stringify(head);
+
+  useEffect(() => {
+    const { title, meta = [], links = [], jsonLd = [] } = JSON.parse(key) || {};
+    if (!title) {
+      return undefined;
+    }
+
+    const previousTitle = document.title;
+    document.title = title;
+
+    const replaced = [];
+    const added = [...meta, ...links].map((attributes) => {
+      document.head.querySelectorAll(selectorFor(attributes)).forEach((el) => {
+        replaced.push(el);
+        el.remove();
+      });
+      const element = document.createElement(attributes.rel ? "link" : "meta");
+      Object.entries(attributes).forEach(([attribute, value]) =>
+        element.setAttribute(attribute, value)
+      );
+      return element;
+    });
+    jsonLd.forEach((data) => {
+      const script = document.createElement("script");
+      script.type = "application/ld+json";
+      script.textContent = JSON.stringify(data);
+      added.push(script);
+    });
+    document.head.append(...added);
+
+    return () => {
+      document.title = previousTitle;
+      added.forEach((element) => element.remove());
+      document.head.append(...replaced);
+    };
+  }, [key]);
+}
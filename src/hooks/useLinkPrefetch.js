@@ -0,0 +1,35 @@
+import { useEffect, useRef } from "react";
+import { getInternalLinkPath } from "../utils/routing";
+
+/**
+ * Call `prefetch` with the path of an internal link when it is hovered,
+ * focused or touched, once per path, so its page is loaded before the click
+ * @param {Function} prefetch - (pathname) => void
+ */
+export default function useLinkPrefetch(prefetch) {
+  const prefetchRef = useRef(prefetch);
+  prefetchRef.current = prefetch;
+
+  useEffect(() => {
+    const seen = new Set();
+    const handle = (event) => {
+      const path = getInternalLinkPath(event.target);
+      if (!path) {
+        return;
+      }
+      const { pathname } = new URL(path, window.location.origin);
+      if (pathname === window.location.pathname || seen.has(pathname)) {
+        return;
+      }
+      seen.add(pathname);
+      prefetchRef.current(pathname);
+    };
+
+    const events = ["mouseover", "focusin", "touchstart"];
+    events.forEach((type) =>
+      document.addEventListener(type, handle, { passive: true })
+    );
+    return () =>
+      events.forEach((type) => document.removeEventListener(type, handle));
+  }, []);
+}
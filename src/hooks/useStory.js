@@ -0,0 +1,152 @@
+import { useEffect, useRef, useState } from "react";
+import { registerStoryblokBridge } from "@storyblok/react";
+import {
+  getStoryKey,
+  isStale,
+  peekCachedStory,
+  readCachedStory,
+  subscribeToStoryCache,
+} from "../utils/storyCache";
+import { loadStory } from "../utils/storyLoader";
+import { getBridgeOptions } from "../utils/storyRelations";
+
+// Whether a prerendered story is the one being asked for
+const isPreloaded = (preloaded, slug, version, language) =>
+  !!preloaded &&
+  preloaded.slug === slug &&
+  preloaded.version === version &&
+  preloaded.language === language;
+
+// Whether a loaded entry would render the same as the one shown
+const isSameEntry = (a, b) =>
+  a.status === b.status && JSON.stringify(a.story) === JSON.stringify(b.story);
+
+/**
+ * Load a story from the Content Delivery API and keep it in sync with the
+ * Visual Editor. Unlike useStoryblok, a missing story ends loading: the
+ * `notFoundSlug` story is loaded in its place and `status` is "not_found".
+ *
+ * Cached stories are shown right away and loaded again in the background
+ * when stale; offline, or when loading fails, the cached story stays.
+ *
+ * @param {string} slug - Full slug of the story
+ * @param {Object} options - Loading options
+ * @param {string} options.version - "draft" or "published"
+ * @param {string} options.language - Language code, or "" for the default language
+ * @param {string} options.fallbackLanguage - Language for untranslated fields
+ * @param {string} options.notFoundSlug - Story to show when `slug` doesn't exist
+ * @param {Object} options.preloaded - { slug, language, version, story, status }
+ *   inlined by the prerenderer; used instead of loading the same story again
+ * @returns {Object} { story, status: "loading" | "ready" | "not_found" | "error", error }
+ */
+export default function useStory(
+  slug,
+  {
+    version = "draft",
+    language = "",
+    fallbackLanguage = "",
+    notFoundSlug,
+    preloaded,
+  } = {}
+) {
+  const key = getStoryKey(slug, { version, language });
+  const [state, setState] = useState(() => {
+    if (isPreloaded(preloaded, slug, version, language)) {
+      return { story: preloaded.story, status: preloaded.status, error: null };
+    }
+    const cached = peekCachedStory(key);
+    return cached
+      ? { story: cached.story, status: cached.status, error: null }
+      : { story: null, status: "loading" };
+  });
+  // Only used until the first navigation to another story
+  const preloadedRef = useRef(preloaded);
+  // Key of the story on screen, which stays up while it is reloaded
+  const shownKeyRef = useRef(null);
+  // Bumped when cached entries are invalidated or become stale
+  const [revision, setRevision] = useState(0);
+
+  useEffect(
+    () => subscribeToStoryCache(() => setRevision((current) => current + 1)),
+    []
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    let registeredId = null;
+    const show = ({ story, status }) => {
+      if (cancelled) {
+        return;
+      }
+      shownKeyRef.current = key;
+      setState({ story, status, error: null });
+      if (
+        story &&
+        story.id !== registeredId &&
+        typeof window.storyblokRegisterEvent !== "undefined"
+      ) {
+        registeredId = story.id;
+        registerStoryblokBridge(
+          story.id,
+          (updated) =>
+            setState((current) =>
+              current.story?.id === updated.id
+                ? { ...current, story: updated }
+                : current
+            ),
+          getBridgeOptions()
+        );
+      }
+    };
+
+    const initial = preloadedRef.current;
+    if (isPreloaded(initial, slug, version, language)) {
+      show(initial);
+      return () => {
+        cancelled = true;
+      };
+    }
+    preloadedRef.current = null;
+
+    const remembered = peekCachedStory(key);
+    if (remembered) {
+      show(remembered);
+    } else if (shownKeyRef.current !== key) {
+      setState({ story: null, status: "loading", error: null });
+    }
+
+    let cached = remembered;
+    (async () => {
+      if (!cached) {
+        cached = await readCachedStory(key);
+        if (cached) {
+          show(cached);
+        }
+      }
+      if (cached && (!isStale(cached) || navigator.onLine === false)) {
+        return;
+      }
+
+      const entry = await loadStory(slug, {
+        version,
+        language,
+        fallbackLanguage,
+        notFoundSlug,
+      });
+      if (!cached || !isSameEntry(cached, entry)) {
+        show(entry);
+      }
+    })().catch((error) => {
+      // A cached or already shown story beats an error page
+      if (!cancelled && !cached && shownKeyRef.current !== key) {
+        setState({ story: null, status: "error", error });
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, slug, version, language, fallbackLanguage, notFoundSlug, revision]);
+
+  return state;
+}
@@ -0,0 +1,329 @@
+import { useCallback, useEffect, useMemo, useReducer, useRef } from "react";
+
+/**
+ * Upload queue state for many files at once
+ *
+ * Item statuses: "processing" (being prepared), "duplicate" (already in
+ * the library, waiting for a decision), "pending" (added, not started),
+ * "queued", "uploading", "paused", "done", "error" and "cancelled".
+ * Pausing an upload in flight aborts it; resuming starts that file again
+ * from the beginning. A paused item remembers its status in `pausedFrom`:
+ * files paused before Upload was clicked go back to "pending".
+ */
+
+let nextId = 0;
+
+const ACTIVE_STATUSES = ["queued", "uploading"];
+const FINISHED_STATUSES = ["done", "error", "cancelled"];
+
+function reducer(items, action) {
+  switch (action.type) {
+    case "add":
+      return [...items, ...action.items];
+    case "update":
+      return items.map((item) =>
+        item.id === action.id ? { ...item, ...action.changes } : item
+      );
+    case "transition":
+      return items.map((item) =>
+        item.id === action.id && action.from.includes(item.status)
+          ? { ...item, ...action.changes }
+          : item
+      );
+    case "updateWhere":
+      return items.map((item) =>
+        action.statuses.includes(item.status)
+          ? { ...item, ...action.changes }
+          : item
+      );
+    case "remove":
+      return items.filter((item) => !action.ids.includes(item.id));
+    default:
+      return items;
+  }
+}
+
+/**
+ * @param {Object} options - Queue configuration
+ * @param {Function} options.upload - (file, { signal, onProgress }, item) => Promise<asset>
+ * @param {Function} options.validate - (file) => error message, or null if the file is accepted
+ * @param {Function} options.prepare - (file) => Promise<{ file, ... }> run when a file is
+ *   added, e.g. to resize it; the result is stored as `item.prepared` and its
+ *   `file` is validated and uploaded instead of the original
+ * @param {Function} options.checkDuplicate - (file, original) => Promise<{ asset, reason } | null>
+ *   run after `prepare` with the prepared file and the one that was added; a
+ *   match is stored as `item.duplicate` until the file is reused or uploaded
+ *   anyway. A failed check counts as no match.
+ * @param {Function} options.formatError - (error) => message shown for a failed upload
+ * @param {Function} options.onUploaded - Called with (asset, item) after each success
+ * @param {number} options.concurrency - Files uploading at once
+ * @returns {Object} Items, counts and actions
+ */
+export default function useUploadQueue({
+  upload,
+  validate,
+  prepare,
+  checkDuplicate,
+  formatError = (error) => error.message,
+  onUploaded,
+  concurrency = 2,
+}) {
+  const [items, dispatch] = useReducer(reducer, []);
+  // id -> { controller, reason } for uploads in flight
+  const inFlight = useRef(new Map());
+  const callbacks = useRef({});
+  callbacks.current = {
+    upload,
+    prepare,
+    validate,
+    checkDuplicate,
+    formatError,
+    onUploaded,
+  };
+
+  const update = useCallback(
+    (id, changes) => dispatch({ type: "update", id, changes }),
+    []
+  );
+
+  // Start queued items while fewer than `concurrency` are uploading
+  useEffect(() => {
+    const uploading = items.filter((i) => i.status === "uploading").length;
+    const toStart = items
+      .filter((i) => i.status === "queued")
+      .slice(0, Math.max(0, concurrency - uploading));
+
+    toStart.forEach((item) => {
+      const controller = new AbortController();
+      inFlight.current.set(item.id, { controller, reason: null });
+      update(item.id, { status: "uploading", progress: 0, error: null });
+
+      callbacks.current
+        .upload(
+          item.prepared?.file || item.file,
+          {
+            signal: controller.signal,
+            onProgress: ({ loaded, total }) =>
+              update(item.id, { progress: total ? loaded / total : 0 }),
+          },
+          item
+        )
+        .then((asset) => {
+          update(item.id, { status: "done", progress: 1, asset });
+          callbacks.current.onUploaded?.(asset, item);
+        })
+        .catch((error) => {
+          if (error.name === "AbortError") {
+            const { reason } = inFlight.current.get(item.id) || {};
+            update(
+              item.id,
+              reason === "pause"
+                ? { status: "paused", pausedFrom: "queued", progress: 0 }
+                : { status: "cancelled", progress: 0 }
+            );
+          } else {
+            update(item.id, {
+              status: "error",
+              error: callbacks.current.formatError(error),
+            });
+          }
+        })
+        .finally(() => inFlight.current.delete(item.id));
+    });
+  }, [items, concurrency, update]);
+
+  // Abort uploads and release previews when the component goes away
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  useEffect(() => {
+    const uploads = inFlight.current;
+    return () => {
+      uploads.forEach(({ controller }) => controller.abort());
+      itemsRef.current.forEach((item) => URL.revokeObjectURL(item.previewUrl));
+    };
+  }, []);
+
+  const abort = (id, reason) => {
+    const entry = inFlight.current.get(id);
+    if (entry) {
+      entry.reason = reason;
+      entry.controller.abort();
+    }
+  };
+
+  // Run `prepare` for a newly added item and validate what it produced,
+  // then look for an existing copy of the file
+  const prepareItem = useCallback(async (item) => {
+    const { prepare, validate, checkDuplicate, formatError } =
+      callbacks.current;
+    const finish = (changes) =>
+      dispatch({
+        type: "transition",
+        id: item.id,
+        from: ["processing"],
+        changes,
+      });
+
+    try {
+      const prepared = prepare ? await prepare(item.file) : null;
+      const file = prepared?.file || item.file;
+      const error = prepare && validate ? validate(file) : null;
+      if (error) {
+        finish({ status: "error", error, invalid: true, prepared });
+        return;
+      }
+
+      // A failed lookup (network, rate limit, no credentials) only means no
+      // duplicate is known; the file can still be uploaded
+      const duplicate = checkDuplicate
+        ? await checkDuplicate(file, item.file).catch(() => null)
+        : null;
+      finish({
+        status: duplicate ? "duplicate" : "pending",
+        prepared,
+        duplicate,
+      });
+    } catch (error) {
+      finish({ status: "error", error: formatError(error), invalid: true });
+    }
+  }, []);
+
+  // `meta` is stored on each item, e.g. the folder to upload into
+  const addFiles = useCallback(
+    (files, meta = {}) => {
+      const added = Array.from(files).map((file) => {
+        // With a prepare step only its output is validated
+        const error = validate && !prepare ? validate(file) : null;
+        nextId += 1;
+        return {
+          id: nextId,
+          file,
+          meta,
+          previewUrl: URL.createObjectURL(file),
+          status: error
+            ? "error"
+            : prepare || checkDuplicate
+            ? "processing"
+            : "pending",
+          progress: 0,
+          error,
+          // Rejected files cannot be retried
+          invalid: !!error,
+          prepared: null,
+          duplicate: null,
+          asset: null,
+          pausedFrom: null,
+        };
+      });
+      dispatch({ type: "add", items: added });
+      added.filter((item) => item.status === "processing").forEach(prepareItem);
+    },
+    [validate, prepare, checkDuplicate, prepareItem]
+  );
+
+  const startAll = () =>
+    dispatch({
+      type: "updateWhere",
+      statuses: ["pending"],
+      changes: { status: "queued" },
+    });
+
+  const pause = (id) => {
+    const item = items.find((i) => i.id === id);
+    if (item?.status === "uploading") {
+      abort(id, "pause");
+    } else if (["pending", "queued"].includes(item?.status)) {
+      update(id, { status: "paused", pausedFrom: item.status });
+    }
+  };
+
+  const resume = (id) => {
+    const item = items.find((i) => i.id === id);
+    dispatch({
+      type: "transition",
+      id,
+      from: ["paused"],
+      changes: {
+        status: item?.pausedFrom === "pending" ? "pending" : "queued",
+        pausedFrom: null,
+      },
+    });
+  };
+
+  const cancel = (id) => {
+    const item = items.find((i) => i.id === id);
+    if (item?.status === "uploading") {
+      abort(id, "cancel");
+    } else if (item?.status !== "processing") {
+      update(id, { status: "cancelled", progress: 0 });
+    }
+  };
+
+  // Use the existing asset instead of uploading the file again
+  const reuse = (id) => {
+    const item = items.find((i) => i.id === id);
+    dispatch({
+      type: "transition",
+      id,
+      from: ["duplicate"],
+      changes: {
+        status: "done",
+        progress: 1,
+        asset: item?.duplicate.asset,
+        reused: true,
+      },
+    });
+  };
+
+  const uploadAnyway = (id) =>
+    dispatch({
+      type: "transition",
+      id,
+      from: ["duplicate"],
+      changes: { status: "pending" },
+    });
+
+  const retry = (id) => update(id, { status: "queued", error: null });
+
+  const removeItems = (predicate) => {
+    const removed = items.filter(predicate);
+    removed.forEach((item) => {
+      abort(item.id, "cancel");
+      URL.revokeObjectURL(item.previewUrl);
+    });
+    dispatch({ type: "remove", ids: removed.map((item) => item.id) });
+  };
+
+  const remove = (id) => removeItems((item) => item.id === id);
+
+  const clearFinished = () =>
+    removeItems((item) => FINISHED_STATUSES.includes(item.status));
+
+  const counts = useMemo(
+    () =>
+      items.reduce(
+        (result, item) => ({
+          ...result,
+          [item.status]: (result[item.status] || 0) + 1,
+        }),
+        {}
+      ),
+    [items]
+  );
+
+  return {
+    items,
+    counts,
+    isBusy: items.some((item) => ACTIVE_STATUSES.includes(item.status)),
+    addFiles,
+    startAll,
+    pause,
+    resume,
+    cancel,
+    reuse,
+    uploadAnyway,
+    retry,
+    remove,
+    clearFinished,
+  };
+}
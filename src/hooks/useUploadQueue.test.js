@@ -0,0 +1,80 @@
+import React from "react";
+import { act } from "react-dom/test-utils";
+import { createRoot } from "react-dom/client";
+import useUploadQueue from "./useUploadQueue";
+
+// Tells React that renders here are wrapped in act()
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+let container;
+let root;
+let queue;
+
+function Harness(props) {
+  queue = useUploadQueue(props);
+  return null;
+}
+
+const mount = (props) =>
+  // root.render is React's, not the Testing Library function the rule means
+  // eslint-disable-next-line testing-library/no-unnecessary-act
+  act(() => {
+    root.render(<Harness {...props} />);
+  });
+
+const statusOf = (id) => queue.items.find((item) => item.id === id).status;
+
+beforeEach(() => {
+  URL.createObjectURL = jest.fn(() => "blob:preview");
+  URL.revokeObjectURL = jest.fn();
+  container = document.createElement("div");
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+});
+
+describe("useUploadQueue", () => {
+  test("resumes a file paused before Upload as pending", async () => {
+    const upload = jest.fn(() => new Promise(() => {}));
+    await mount({ upload });
+
+    await act(async () => queue.addFiles([new File(["a"], "a.png")]));
+    const { id } = queue.items[0];
+    expect(statusOf(id)).toBe("pending");
+
+    await act(async () => queue.pause(id));
+    expect(statusOf(id)).toBe("paused");
+
+    await act(async () => queue.resume(id));
+    expect(statusOf(id)).toBe("pending");
+    expect(upload).not.toHaveBeenCalled();
+  });
+
+  test("resumes a paused upload by queueing it again", async () => {
+    const upload = jest.fn(
+      (file, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () => {
+            const error = new Error("aborted");
+            error.name = "AbortError";
+            reject(error);
+          });
+        })
+    );
+    await mount({ upload, concurrency: 1 });
+
+    await act(async () => queue.addFiles([new File(["a"], "a.png")]));
+    const { id } = queue.items[0];
+    await act(async () => queue.startAll());
+    expect(statusOf(id)).toBe("uploading");
+
+    await act(async () => queue.pause(id));
+    expect(statusOf(id)).toBe("paused");
+
+    await act(async () => queue.resume(id));
+    expect(statusOf(id)).toBe("uploading");
+    expect(upload).toHaveBeenCalledTimes(2);
+  });
+});
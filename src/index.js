@@ -1,38 +1,70 @@
 import React from "react";
-import { createRoot } from "react-dom/client";
+import { createRoot, hydrateRoot } from "react-dom/client";
 import "./index.css";
 import App from "./App";
+import Router from "./components/Router";
+import config from "./config";
+import { initStoryblok } from "./storyblok";
+import { registerServiceWorker } from "./serviceWorkerRegistration";
+import {
+  getAccessToken,
+  getContentVersion,
+  getPreviewState,
+} from "./utils/previewMode";
+import {
+  PRERENDERED_ATTRIBUTE,
+  readPrerenderState,
+} from "./utils/prerenderState";
+import { splitLocale } from "./utils/locales";
+import { getSlugFromPath } from "./utils/routing";
 
-import { storyblokInit, apiPlugin } from "@storyblok/react";
+const accessToken = getAccessToken(getContentVersion());
+if (!accessToken) {
+  console.error(
+    `Missing Storyblok access token. Set ${
+      getContentVersion() === "draft"
+        ? "REACT_APP_STORYBLOK_PREVIEW_TOKEN"
+        : "REACT_APP_STORYBLOK_PUBLIC_TOKEN"
+    } in your .env file.`
+  );
+}
 
-import Page from "./components/Page";
-import Teaser from "./components/Teaser";
-import Grid from "./components/Grid";
-import Feature from "./components/Feature";
-import HeroSection from "./components/HeroSection";
-import ImageUploadComponent from "./components/ImageUploadComponent";
-storyblokInit({
-  accessToken: "hQwSAH3Lo90y5ZvkrWUNXgtt",
-  use: [apiPlugin],
-  components: {
-    page: Page,
-    teaser: Teaser,
-    grid: Grid,
-    feature: Feature,
-    hero_section: HeroSection,
-    upload_image: ImageUploadComponent,
-  },
-  apiOptions: {
-    // for spaces located in the US or China:
-    // region: "us" or "cn", // you need to specify the region
-    region: "",
-  },
+initStoryblok({
+  accessToken,
+  // Live updates are only needed inside the Visual Editor
+  bridge: getPreviewState() === "editor",
 });
 
+// Head tags from `npm run prerender` are set again by the app itself
+document
+  .querySelectorAll(`[${PRERENDERED_ATTRIBUTE}]`)
+  .forEach((element) => element.remove());
+
+const preloaded = readPrerenderState();
 const container = document.getElementById("app");
-const root = createRoot(container);
-root.render(
+const app = (
   <React.StrictMode>
-    <App />
+    <Router>
+      <App preloaded={preloaded} />
+    </Router>
   </React.StrictMode>
 );
+
+// Prerendered HTML only matches the same story in the same content version.
+// Hosts serve index.html (the home page) for paths that weren't prerendered.
+const { language, pathname } = splitLocale(
+  window.location.pathname,
+  config.languages
+);
+if (
+  preloaded &&
+  preloaded.version === getContentVersion() &&
+  preloaded.slug === getSlugFromPath(pathname, config.homeSlug) &&
+  preloaded.language === language
+) {
+  hydrateRoot(container, app);
+} else {
+  createRoot(container).render(app);
+}
+
+registerServiceWorker();
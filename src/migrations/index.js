@@ -0,0 +1,21 @@
+/**
+ * Content migrations, oldest first. Applied with `npm run migrate-content`
+ *
+ * Add one file per schema change and list it here, e.g.
+ * src/migrations/2026-10-19-teaser-title.js:
+ *
+ *   export default {
+ *     id: "2026-10-19-teaser-title",
+ *     description: "Rename teaser.title to teaser.headline",
+ *     up: {
+ *       teaser: ({ title, ...blok }) =>
+ *         title === undefined ? blok : { ...blok, headline: title },
+ *     },
+ *   };
+ *
+ * Ids are recorded once applied, so never change or reuse one.
+ */
+
+const migrations = [];
+
+export default migrations;
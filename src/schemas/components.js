@@ -0,0 +1,159 @@
+/**
+ * Component schemas for the bloks registered in src/storyblok.js
+ * Synced to the space with `npm run sync-components`
+ */
+
+const components = [
+  {
+    name: "page",
+    display_name: "Page",
+    is_root: true,
+    is_nestable: false,
+    schema: {
+      body: { type: "bloks", pos: 0 },
+      seo: {
+        type: "section",
+        display_name: "SEO",
+        pos: 1,
+        keys: [
+          "seo_title",
+          "seo_description",
+          "og_image",
+          "og_type",
+          "canonical",
+          "noindex",
+        ],
+      },
+      seo_title: {
+        type: "text",
+        pos: 2,
+        description: "Full page title; defaults to the story name",
+      },
+      seo_description: { type: "textarea", pos: 3, max_length: 160 },
+      og_image: {
+        type: "asset",
+        filetypes: ["images"],
+        pos: 4,
+        description: "Shown when the page is shared, cropped to 1200x630",
+      },
+      og_type: {
+        type: "option",
+        pos: 5,
+        default_value: "website",
+        options: [
+          { name: "Website", value: "website" },
+          { name: "Article", value: "article" },
+        ],
+      },
+      canonical: {
+        type: "multilink",
+        pos: 6,
+        description: "Only set when another URL has the same content",
+      },
+      noindex: {
+        type: "boolean",
+        pos: 7,
+        description: "Hide this page from search engines",
+      },
+      related: {
+        type: "options",
+        source: "internal_stories",
+        filter_content_type: ["page"],
+        pos: 8,
+        description: "Listed below the page content",
+      },
+    },
+  },
+  {
+    name: "grid",
+    display_name: "Grid",
+    is_root: false,
+    is_nestable: true,
+    component_group_name: "Layout",
+    schema: {
+      columns: { type: "bloks", pos: 0 },
+    },
+  },
+  {
+    name: "teaser",
+    display_name: "Teaser",
+    is_root: false,
+    is_nestable: true,
+    component_group_name: "Content",
+    schema: {
+      headline: { type: "text", pos: 0 },
+      text: { type: "richtext", pos: 1 },
+      link: {
+        type: "multilink",
+        pos: 2,
+        email_link_type: true,
+        asset_link_type: true,
+      },
+      link_text: {
+        type: "text",
+        pos: 3,
+        description: 'Defaults to "Read more"',
+      },
+    },
+  },
+  {
+    name: "feature",
+    display_name: "Feature",
+    is_root: false,
+    is_nestable: true,
+    component_group_name: "Content",
+    schema: {
+      name: { type: "text", pos: 0 },
+    },
+  },
+  {
+    name: "hero_section",
+    display_name: "Hero Section",
+    is_root: false,
+    is_nestable: true,
+    component_group_name: "Content",
+    schema: {
+      text: { type: "text", pos: 0 },
+      image: { type: "asset", filetypes: ["images"], pos: 1 },
+    },
+  },
+  {
+    name: "upload_image",
+    display_name: "Upload Image",
+    is_root: false,
+    is_nestable: true,
+    component_group_name: "Tools",
+    schema: {
+      title: { type: "text", pos: 0 },
+      process_images: {
+        type: "boolean",
+        pos: 1,
+        description: "Resize, re-encode and strip metadata before upload",
+      },
+      max_dimension: {
+        type: "number",
+        pos: 2,
+        description: "Longest side in pixels (empty for no limit)",
+      },
+      output_format: {
+        type: "option",
+        pos: 3,
+        default_value: "original",
+        options: [
+          { name: "Keep original", value: "original" },
+          { name: "WebP", value: "webp" },
+          { name: "JPEG", value: "jpeg" },
+        ],
+      },
+      quality: {
+        type: "number",
+        pos: 4,
+        min_value: 1,
+        max_value: 100,
+        description: "Encoder quality, 1-100 (default 82)",
+      },
+    },
+  },
+];
+
+export default components;
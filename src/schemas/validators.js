@@ -0,0 +1,42 @@
+// Generated by `npm run generate-types` from the component schemas.
+// Do not edit by hand.
+
+import { createBlokValidator } from "../utils/blokValidation";
+
+export const blokSchemas = {
+  feature: {
+    name: { type: "text" },
+  },
+  grid: {
+    columns: { type: "bloks" },
+  },
+  hero_section: {
+    text: { type: "text" },
+    image: { type: "asset" },
+  },
+  page: {
+    body: { type: "bloks" },
+    seo_title: { type: "text" },
+    seo_description: { type: "textarea" },
+    og_image: { type: "asset" },
+    og_type: { type: "option" },
+    canonical: { type: "multilink" },
+    noindex: { type: "boolean" },
+    related: { type: "options" },
+  },
+  teaser: {
+    headline: { type: "text" },
+    text: { type: "richtext" },
+    link: { type: "multilink" },
+    link_text: { type: "text" },
+  },
+  upload_image: {
+    title: { type: "text" },
+    process_images: { type: "boolean" },
+    max_dimension: { type: "number" },
+    output_format: { type: "option" },
+    quality: { type: "number" },
+  },
+};
+
+export const validateBlok = createBlokValidator(blokSchemas);
@@ -0,0 +1,125 @@
+/**
+ * Service worker, built by react-scripts in production. Together with the
+ * story cache in IndexedDB it lets previously visited pages render offline:
+ *
+ * - the app's own files are cached when the worker installs
+ * - pages are loaded from the network and fall back to the cached copy,
+ *   or to the app shell, when offline
+ * - Storyblok images are cached as they are shown
+ *
+ * Storyblok API responses are cached by the app itself (src/utils/storyCache.js).
+ */
+
+/* eslint-disable no-restricted-globals */
+
+// Files of this build, injected by react-scripts
+const PRECACHE_FILES = self.__WB_MANIFEST;
+const PAGES_CACHE = "pages";
+const IMAGES_CACHE = "storyblok-images";
+// Oldest images are dropped beyond this many
+const MAX_IMAGES = 200;
+// Asset hosts of every region: a.storyblok.com, a-us.storyblok.com, ...
+const ASSET_HOST = /^a(-[a-z]+)?\.storyblok\.com$/;
+// Written by `npm run prerender`, which turns index.html into the home page
+const SHELL_URL = `${process.env.PUBLIC_URL}/shell.html`;
+const INDEX_URL = `${process.env.PUBLIC_URL}/index.html`;
+
+// Every build gets its own precache, so old files go once it activates
+const hash = (text) =>
+  [...text]
+    .reduce((value, char) => (value * 31 + char.charCodeAt(0)) | 0, 0)
+    .toString(36);
+const PRECACHE = `precache-${hash(JSON.stringify(PRECACHE_FILES))}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(PRECACHE);
+      await cache.addAll(PRECACHE_FILES.map(({ url }) => url));
+      // Only there when the site is prerendered
+      await cache.add(SHELL_URL).catch(() => {});
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith("precache-") && name !== PRECACHE)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+const handleNavigation = async (request) => {
+  const cache = await caches.open(PAGES_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // The shell renders any page whose story is in the story cache
+    const fallback =
+      (await cache.match(request, { ignoreSearch: true })) ||
+      (await caches.match(SHELL_URL)) ||
+      (await caches.match(INDEX_URL));
+    if (fallback) {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+const handleImage = async (request) => {
+  const cache = await caches.open(IMAGES_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  // Images without CORS come back opaque, with status 0
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    const keys = await cache.keys();
+    await Promise.all(
+      keys
+        .slice(0, Math.max(0, keys.length - MAX_IMAGES))
+        .map((key) => cache.delete(key))
+    );
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+  if (ASSET_HOST.test(url.hostname)) {
+    event.respondWith(handleImage(request));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      caches
+        .open(PRECACHE)
+        .then((cache) => cache.match(request))
+        .then((cached) => cached || fetch(request))
+    );
+  }
+});
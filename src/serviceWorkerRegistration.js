@@ -0,0 +1,30 @@
+/**
+ * Service Worker Registration
+ * Registers src/service-worker.js in production builds, so visited pages
+ * keep working offline
+ */
+
+import { isVisualEditor } from "./utils/previewMode";
+
+/**
+ * Register the service worker once the page has loaded. Skipped in
+ * development, where cached files would hide changes, and inside the
+ * Visual Editor, which always needs the live page.
+ */
+export const registerServiceWorker = () => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator) ||
+    isVisualEditor()
+  ) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) =>
+        console.error("Service worker registration failed:", error)
+      );
+  });
+};
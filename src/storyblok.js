@@ -0,0 +1,36 @@
+import { storyblokInit, apiPlugin } from "@storyblok/react";
+import config from "./config";
+import registerBloks from "./components/registerBloks";
+
+import Page from "./components/Page";
+import Teaser from "./components/Teaser";
+import Grid from "./components/Grid";
+import Feature from "./components/Feature";
+import HeroSection from "./components/HeroSection";
+import ImageUploadComponent from "./components/ImageUploadComponent";
+
+/**
+ * Set up the Storyblok SDK and the blok components. Shared by the browser
+ * entry point and the prerender script.
+ * @param {Object} options - Options
+ * @param {string} options.accessToken - Content Delivery API token
+ * @param {boolean} options.bridge - Load the Storyblok Bridge for the Visual Editor
+ */
+export const initStoryblok = ({ accessToken, bridge = false }) =>
+  storyblokInit({
+    accessToken,
+    bridge,
+    use: [apiPlugin],
+    components: registerBloks({
+      page: Page,
+      teaser: Teaser,
+      grid: Grid,
+      feature: Feature,
+      hero_section: HeroSection,
+      upload_image: ImageUploadComponent,
+    }),
+    apiOptions: {
+      // for spaces located outside the EU, set REACT_APP_STORYBLOK_REGION
+      region: config.region,
+    },
+  });
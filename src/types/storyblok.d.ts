@@ -0,0 +1,107 @@
+// Generated by `npm run generate-types` from the component schemas.
+// Do not edit by hand.
+
+export interface BlokBase {
+  _uid: string;
+  _editable?: string;
+}
+
+export interface StoryblokAsset {
+  id: number | null;
+  filename: string;
+  name?: string;
+  alt?: string | null;
+  title?: string | null;
+  copyright?: string | null;
+  focus?: string | null;
+}
+
+export interface StoryblokMultilink {
+  linktype: "story" | "url" | "asset" | "email";
+  id?: string;
+  url?: string;
+  cached_url?: string;
+  email?: string;
+  anchor?: string;
+  target?: "_blank" | "_self";
+  story?: {
+    name: string;
+    id: number;
+    uuid: string;
+    slug: string;
+    full_slug: string;
+    url?: string;
+  };
+}
+
+export interface StoryblokStoryReference {
+  name: string;
+  id: number;
+  uuid: string;
+  slug: string;
+  full_slug: string;
+  content: Blok;
+}
+
+export interface StoryblokRichtext {
+  type: string;
+  text?: string;
+  attrs?: Record<string, unknown>;
+  marks?: { type: string; attrs?: Record<string, unknown> }[];
+  content?: StoryblokRichtext[];
+}
+
+export interface FeatureBlok extends BlokBase {
+  component: "feature";
+  name?: string;
+}
+
+export interface GridBlok extends BlokBase {
+  component: "grid";
+  columns?: Blok[];
+}
+
+export interface HeroSectionBlok extends BlokBase {
+  component: "hero_section";
+  text?: string;
+  image?: StoryblokAsset;
+}
+
+export interface PageBlok extends BlokBase {
+  component: "page";
+  body?: Blok[];
+  seo_title?: string;
+  seo_description?: string;
+  og_image?: StoryblokAsset;
+  og_type?: "website" | "article";
+  canonical?: StoryblokMultilink;
+  noindex?: boolean;
+  related?: (string | StoryblokStoryReference)[];
+}
+
+export interface TeaserBlok extends BlokBase {
+  component: "teaser";
+  headline?: string;
+  text?: StoryblokRichtext;
+  link?: StoryblokMultilink;
+  link_text?: string;
+}
+
+export interface UploadImageBlok extends BlokBase {
+  component: "upload_image";
+  title?: string;
+  process_images?: boolean;
+  max_dimension?: string | number;
+  output_format?: "original" | "webp" | "jpeg";
+  quality?: string | number;
+}
+
+export type Blok =
+  | FeatureBlok
+  | GridBlok
+  | HeroSectionBlok
+  | PageBlok
+  | TeaserBlok
+  | UploadImageBlok;
+
+export type BlokComponentName = Blok["component"];
@@ -0,0 +1,88 @@
+/**
+ * Asset Duplicates
+ * Detects uploads that are already in the asset library
+ */
+
+// Key in an asset's meta_data holding the SHA-256 of the file it was
+// processed from, since the uploaded file's own hash changes with processing
+export const ORIGINAL_HASH_FIELD = "original_sha256";
+
+/**
+ * SHA-256 of a file or blob
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = async (blob) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await blob.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+};
+
+const getFileName = (asset) =>
+  (
+    asset.short_filename || (asset.filename || "").split("/").pop()
+  ).toLowerCase();
+
+/**
+ * Find an existing asset that a file duplicates. Assets processed from the
+ * same original (see ORIGINAL_HASH_FIELD) are identical content. Otherwise
+ * assets with the same byte size are downloaded and hashed; failing that,
+ * an asset with the same file name counts as a likely duplicate.
+ * @param {File} file - File about to be uploaded
+ * @param {Array} assets - Assets already in the space
+ * @param {Object} options - Detection options
+ * @param {File} options.original - File as it was chosen, when `file` was processed from it
+ * @param {Function} options.fetch - fetch implementation for downloading assets
+ * @param {Map} options.hashes - Asset URL -> hash, reused between calls
+ * @param {AbortSignal} options.signal - Cancels downloads
+ * @returns {Promise<Object|null>} { asset, reason: "content" | "filename" }, or null
+ */
+export const findDuplicateAsset = async (
+  file,
+  assets,
+  { original, fetch: fetchImpl = fetch, hashes = new Map(), signal } = {}
+) => {
+  const processed = assets.filter(
+    (asset) => asset.meta_data?.[ORIGINAL_HASH_FIELD]
+  );
+  if (processed.length > 0) {
+    const originalHash = await hashFile(original || file);
+    const match = processed.find(
+      (asset) => asset.meta_data[ORIGINAL_HASH_FIELD] === originalHash
+    );
+    if (match) {
+      return { asset: match, reason: "content" };
+    }
+  }
+
+  const sameSize = assets.filter((asset) => asset.content_length === file.size);
+  if (sameSize.length > 0) {
+    const hash = await hashFile(file);
+    for (const asset of sameSize) {
+      if (!hashes.has(asset.filename)) {
+        try {
+          const response = await fetchImpl(asset.filename, { signal });
+          if (response.ok) {
+            hashes.set(asset.filename, await hashFile(await response.blob()));
+          }
+        } catch (error) {
+          if (error.name === "AbortError") {
+            throw error;
+          }
+          // An asset that can't be downloaded just isn't compared
+        }
+      }
+      if (hashes.get(asset.filename) === hash) {
+        return { asset, reason: "content" };
+      }
+    }
+  }
+
+  const name = file.name.toLowerCase();
+  const sameName = assets.find((asset) => getFileName(asset) === name);
+  return sameName ? { asset: sameName, reason: "filename" } : null;
+};
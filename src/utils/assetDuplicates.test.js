@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+
+// jsdom has neither crypto.subtle nor Blob#arrayBuffer, so these use Node's
+import { Blob } from "buffer";
+import { webcrypto } from "crypto";
+import {
+  findDuplicateAsset,
+  hashFile,
+  ORIGINAL_HASH_FIELD,
+} from "./assetDuplicates";
+
+global.crypto = webcrypto;
+
+const createFile = (contents, name) =>
+  Object.assign(new Blob([contents]), { name });
+
+describe("findDuplicateAsset", () => {
+  test("matches a processed upload by the original file's hash", async () => {
+    const original = createFile("original photo", "photo.jpg");
+    const asset = {
+      filename: "https://a.storyblok.com/f/1/photo.webp",
+      content_length: 4,
+      meta_data: { [ORIGINAL_HASH_FIELD]: await hashFile(original) },
+    };
+    const fetch = jest.fn();
+
+    await expect(
+      findDuplicateAsset(createFile("webp", "photo.webp"), [asset], {
+        original,
+        fetch,
+      })
+    ).resolves.toEqual({ asset, reason: "content" });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("compares same-size assets by downloaded content", async () => {
+    const file = createFile("same", "new-name.png");
+    const asset = {
+      filename: "https://a.storyblok.com/f/1/old-name.png",
+      content_length: file.size,
+    };
+    const fetch = jest.fn(async () => ({
+      ok: true,
+      blob: async () => createFile("same"),
+    }));
+
+    await expect(findDuplicateAsset(file, [asset], { fetch })).resolves.toEqual(
+      { asset, reason: "content" }
+    );
+  });
+
+  test("falls back to the file name", async () => {
+    const asset = {
+      filename: "https://a.storyblok.com/f/1/Photo.jpg",
+      content_length: 1,
+      meta_data: { [ORIGINAL_HASH_FIELD]: "other" },
+    };
+    const fetch = jest.fn();
+
+    await expect(
+      findDuplicateAsset(createFile("photo", "photo.jpg"), [asset], { fetch })
+    ).resolves.toEqual({ asset, reason: "filename" });
+    await expect(
+      findDuplicateAsset(createFile("photo", "other.jpg"), [asset], { fetch })
+    ).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Asset Library Utility
+ * Filtering, sorting and focal point helpers for Storyblok assets
+ */
+
+const EXTENSION_TYPES = {
+  image: ["jpg", "jpeg", "png", "gif", "webp", "svg", "avif"],
+  video: ["mp4", "webm", "mov", "ogv"],
+  audio: ["mp3", "wav", "ogg", "m4a"],
+  document: ["pdf", "doc", "docx", "xls", "xlsx", "ppt", "pptx", "txt", "csv"],
+};
+
+export const ASSET_TYPES = ["image", "video", "audio", "document", "other"];
+
+export const SORT_OPTIONS = {
+  newest: { label: "Newest first", field: "created_at", direction: -1 },
+  oldest: { label: "Oldest first", field: "created_at", direction: 1 },
+  name: { label: "Name (A-Z)", field: "name", direction: 1 },
+  size: { label: "Largest first", field: "content_length", direction: -1 },
+};
+
+/**
+ * Display name of an asset: its title, or the file name from its URL
+ * @param {Object} asset - Storyblok asset
+ * @returns {string} Name
+ */
+export const getAssetName = (asset) =>
+  asset.title ||
+  asset.short_filename ||
+  (asset.filename || "").split("/").pop() ||
+  String(asset.id);
+
+/**
+ * Broad type of an asset, from its content type or file extension
+ * @param {Object} asset - Storyblok asset
+ * @returns {string} One of ASSET_TYPES
+ */
+export const getAssetType = (asset) => {
+  const [mainType] = (asset.content_type || "").split("/");
+  if (["image", "video", "audio"].includes(mainType)) {
+    return mainType;
+  }
+
+  const extension = (asset.filename || "").split(".").pop().toLowerCase();
+  const match = Object.keys(EXTENSION_TYPES).find((type) =>
+    EXTENSION_TYPES[type].includes(extension)
+  );
+  return match || "other";
+};
+
+/**
+ * Filter assets the way the asset library toolbar describes
+ * @param {Array} assets - Storyblok assets
+ * @param {Object} filters - Filter values
+ * @param {string} filters.search - Text to find in the file name or title
+ * @param {string} filters.type - One of ASSET_TYPES, or "" for all
+ * @param {string} filters.tagId - Internal tag ID, or "" for all
+ * @param {string} filters.from - Earliest creation date (YYYY-MM-DD)
+ * @param {string} filters.to - Latest creation date (YYYY-MM-DD), inclusive
+ * @returns {Array} Matching assets
+ */
+export const filterAssets = (
+  assets,
+  { search = "", type = "", tagId = "", from = "", to = "" } = {}
+) => {
+  const query = search.trim().toLowerCase();
+  // Compare dates as YYYY-MM-DD strings so `to` includes the whole day
+  return assets.filter((asset) => {
+    const created = (asset.created_at || "").slice(0, 10);
+    return (
+      (!query ||
+        `${asset.filename || ""} ${asset.title || ""}`
+          .toLowerCase()
+          .includes(query)) &&
+      (!type || getAssetType(asset) === type) &&
+      (!tagId || (asset.internal_tag_ids || []).map(String).includes(tagId)) &&
+      (!from || created >= from) &&
+      (!to || created <= to)
+    );
+  });
+};
+
+/**
+ * Sort assets without changing the original array
+ * @param {Array} assets - Storyblok assets
+ * @param {string} sortBy - Key of SORT_OPTIONS
+ * @returns {Array} Sorted assets
+ */
+export const sortAssets = (assets, sortBy = "newest") => {
+  const { field, direction } = SORT_OPTIONS[sortBy] || SORT_OPTIONS.newest;
+  const valueOf = (asset) =>
+    field === "name" ? getAssetName(asset).toLowerCase() : asset[field] || "";
+
+  return [...assets].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === right) {
+      return 0;
+    }
+    return (left < right ? -1 : 1) * direction;
+  });
+};
+
+/**
+ * Image dimensions encoded in a Storyblok asset URL
+ * (https://a.storyblok.com/f/<space>/<width>x<height>/<hash>/<name>)
+ * @param {string} url - Asset URL
+ * @returns {Object|null} { width, height }, or null if the URL has none
+ */
+export const getImageDimensions = (url = "") => {
+  const match = url.match(/\/f\/\d+\/(\d+)x(\d+)\//);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+};
+
+/**
+ * Parse an asset's focal point, stored as "<x>x<y>:<x2>x<y2>" in pixels
+ * @param {string} focus - Asset focus value
+ * @returns {Object|null} { x, y } of the focus area's top-left corner
+ */
+export const parseFocus = (focus) => {
+  const match = (focus || "").match(/^(\d+)x(\d+):\d+x\d+$/);
+  return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+};
+
+/**
+ * Format a focal point the way the Storyblok asset manager stores it
+ * @param {number} x - Horizontal position in pixels
+ * @param {number} y - Vertical position in pixels
+ * @returns {string} Asset focus value
+ */
+export const formatFocus = (x, y) =>
+  `${Math.round(x)}x${Math.round(y)}:${Math.round(x) + 1}x${Math.round(y) + 1}`;
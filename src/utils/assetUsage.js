@@ -0,0 +1,180 @@
+/**
+ * Asset Usage
+ * Finds the stories that reference an asset, so assets in use are not
+ * deleted by accident
+ */
+
+// Asset URLs inside any string: asset fields, links, rich text and markdown
+const ASSET_URL_PATTERN = /\/f\/\d+\/[^\s"'()<>]+/g;
+
+/**
+ * Key that identifies an asset URL whatever host or image service options
+ * it is served with ("/f/<space>/<size>/<hash>/<name>")
+ * @param {string} url - Asset URL
+ * @returns {string} Asset key
+ */
+export const getAssetKey = (url = "") => {
+  const start = url.indexOf("/f/");
+  const path = start === -1 ? url : url.slice(start);
+  // Drop image service options such as "/m/400x0/filters:..."
+  return path.split("/m/")[0].split(/[?#]/)[0];
+};
+
+/**
+ * Collect every asset referenced in story content
+ * @param {*} content - Story content
+ * @returns {Map<string, Array<string>>} Asset key -> field paths that use it
+ */
+export const collectAssetReferences = (content) => {
+  const references = new Map();
+
+  const walk = (value, path) => {
+    if (typeof value === "string") {
+      (value.match(ASSET_URL_PATTERN) || []).forEach((url) => {
+        const key = getAssetKey(url);
+        const paths = references.get(key) || [];
+        if (!paths.includes(path)) {
+          references.set(key, [...paths, path]);
+        }
+      });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${path}[${index}]`));
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, item]) =>
+        walk(item, path ? `${path}.${key}` : key)
+      );
+    }
+  };
+
+  walk(content, "");
+  return references;
+};
+
+const summarizeStory = ({ id, name, full_slug, published }) => ({
+  id,
+  name,
+  full_slug,
+  published: !!published,
+});
+
+// The Management API returns draft content. A published story with
+// unpublished changes may still show assets its draft no longer has.
+const hasUnpublishedChanges = (story) =>
+  !story.is_folder && !!story.published && !!story.unpublished_changes;
+
+const collectPublishedReferences = async (
+  story,
+  getPublishedContent,
+  signal
+) => {
+  if (!getPublishedContent) {
+    throw new Error(
+      `"${story.full_slug}" has unpublished changes and its published version can't be read`
+    );
+  }
+  return collectAssetReferences(await getPublishedContent(story, { signal }));
+};
+
+/**
+ * Find the stories whose content references an asset: their draft, and the
+ * published version of stories with unpublished changes
+ * @param {Object} client - Management client
+ * @param {Object} asset - Asset, or anything with a `filename` URL
+ * @param {Object} options - Scan options
+ * @param {Function} options.getPublishedContent - async (story, { signal }) => published
+ *   content of a story, or null if it has none. Without it, stories with
+ *   unpublished changes make the scan fail instead of missing live usage.
+ * @param {AbortSignal} options.signal - Cancels the scan
+ * @returns {Promise<Array>} [{ story: { id, name, full_slug, published }, paths }]
+ */
+export const scanAssetUsage = async (
+  client,
+  asset,
+  { getPublishedContent, signal } = {}
+) => {
+  const key = getAssetKey(asset.filename);
+  // The API narrows the candidates by draft content; their content confirms
+  // each match. Any story with unpublished changes is checked as published.
+  const [candidates, summaries] = await Promise.all([
+    client.listStories({ reference_search: asset.filename, signal }),
+    client.listStories({ story_only: true, signal }),
+  ]);
+  const changed = summaries.filter(hasUnpublishedChanges);
+
+  const [drafts, published] = await Promise.all([
+    Promise.all(
+      candidates
+        .filter((story) => !story.is_folder)
+        .map((story) => client.getStory(story.id, { signal }))
+    ),
+    Promise.all(
+      changed.map(async (story) => ({
+        story,
+        paths:
+          (
+            await collectPublishedReferences(story, getPublishedContent, signal)
+          ).get(key) || [],
+      }))
+    ),
+  ]);
+
+  const usage = new Map();
+  [
+    ...drafts.map((story) => ({
+      story,
+      paths: collectAssetReferences(story.content).get(key) || [],
+    })),
+    ...published,
+  ].forEach(({ story, paths }) => {
+    const current = usage.get(story.id);
+    usage.set(story.id, {
+      story: summarizeStory(story),
+      paths: [...new Set([...(current?.paths || []), ...paths])],
+    });
+  });
+  return [...usage.values()].filter((entry) => entry.paths.length > 0);
+};
+
+/**
+ * Scan every story for asset references and report assets none of them use,
+ * in their draft or, for stories with unpublished changes, published version
+ * @param {Object} client - Management client
+ * @param {Object} options - Scan options
+ * @param {Function} options.getPublishedContent - See scanAssetUsage
+ * @param {Function} options.onProgress - Called with ({ done, total }) as stories are scanned
+ * @param {AbortSignal} options.signal - Cancels the scan
+ * @returns {Promise<Array>} Unused assets
+ */
+export const scanUnusedAssets = async (
+  client,
+  { getPublishedContent, onProgress, signal } = {}
+) => {
+  const [assets, summaries] = await Promise.all([
+    client.getAssets({ signal }),
+    client.listStories({ signal }),
+  ]);
+  const stories = summaries.filter((story) => !story.is_folder);
+
+  const used = new Set();
+  let done = 0;
+  onProgress?.({ done, total: stories.length });
+
+  // The client's request queue keeps this within the rate limit
+  await Promise.all(
+    stories.map(async (summary) => {
+      const story = await client.getStory(summary.id, { signal });
+      collectAssetReferences(story.content).forEach((paths, key) =>
+        used.add(key)
+      );
+      if (hasUnpublishedChanges(summary)) {
+        (
+          await collectPublishedReferences(summary, getPublishedContent, signal)
+        ).forEach((paths, key) => used.add(key));
+      }
+      done += 1;
+      onProgress?.({ done, total: stories.length });
+    })
+  );
+
+  return assets.filter((asset) => !used.has(getAssetKey(asset.filename)));
+};
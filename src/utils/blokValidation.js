@@ -0,0 +1,85 @@
+/**
+ * Blok Validation Utility
+ * Checks blok content against component schemas at runtime
+ */
+
+// Field types that only structure the editor UI and hold no content
+export const LAYOUT_FIELD_TYPES = ["tab", "section"];
+
+// Keys every blok carries regardless of its schema
+export const BASE_BLOK_FIELDS = ["_uid", "component", "_editable"];
+
+const isObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+// One check per Storyblok field type; unknown types are not checked
+const TYPE_CHECKS = {
+  text: (value) => typeof value === "string",
+  textarea: (value) => typeof value === "string",
+  markdown: (value) => typeof value === "string",
+  // Resolved relations are stories
+  option: (value) =>
+    typeof value === "string" ||
+    typeof value === "number" ||
+    (isObject(value) && "uuid" in value),
+  datetime: (value) => typeof value === "string",
+  number: (value) => typeof value === "string" || typeof value === "number",
+  boolean: (value) => typeof value === "boolean",
+  options: (value) => Array.isArray(value),
+  bloks: (value) =>
+    Array.isArray(value) && value.every((item) => isObject(item)),
+  asset: (value) => isObject(value) && "filename" in value,
+  multiasset: (value) =>
+    Array.isArray(value) && value.every((item) => isObject(item)),
+  multilink: (value) => isObject(value) && "linktype" in value,
+  richtext: (value) => isObject(value) && value.type === "doc",
+  table: (value) => isObject(value),
+};
+
+// Storyblok stores cleared fields as "", null or an empty asset/link object
+const isEmpty = (value, type) => {
+  if (value === undefined || value === null || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (type === "asset") return !value.filename;
+  if (type === "multilink") return !value.url && !value.id && !value.email;
+  return false;
+};
+
+/**
+ * Create a validator for the given component schemas
+ * @param {Object} schemas - Component name to schema, as in the space
+ * @returns {Function} (blok) => Array<{ field, message }>, empty when valid
+ */
+export const createBlokValidator = (schemas) => (blok) => {
+  if (!isObject(blok)) {
+    return [{ field: null, message: "Blok is not an object" }];
+  }
+
+  const schema = schemas[blok.component];
+  if (!schema) {
+    return [
+      { field: "component", message: `Unknown component "${blok.component}"` },
+    ];
+  }
+
+  return Object.entries(schema).reduce((errors, [field, definition]) => {
+    if (LAYOUT_FIELD_TYPES.includes(definition.type)) return errors;
+
+    const value = blok[field];
+    if (isEmpty(value, definition.type)) {
+      if (definition.required) {
+        errors.push({ field, message: `"${field}" is required` });
+      }
+      return errors;
+    }
+
+    const check = TYPE_CHECKS[definition.type];
+    if (check && !check(value)) {
+      errors.push({
+        field,
+        message: `"${field}" should be a ${definition.type} field`,
+      });
+    }
+    return errors;
+  }, []);
+};
@@ -0,0 +1,209 @@
+/**
+ * Component Schema Sync
+ * Keeps the space's component schemas in line with local definitions
+ */
+
+// Keys of a local definition that are not sent to the API as-is
+const LOCAL_ONLY_KEYS = ["name", "component_group_name"];
+
+/**
+ * Check that every value set locally is the same remotely. Remote-only keys
+ * (ids, timestamps, defaults the API adds) are ignored.
+ * @param {*} local - Local value
+ * @param {*} remote - Remote value
+ * @returns {boolean} Whether the local value is satisfied by the remote one
+ */
+const matches = (local, remote) => {
+  if (Array.isArray(local)) {
+    return (
+      Array.isArray(remote) &&
+      local.length === remote.length &&
+      local.every((item, index) => matches(item, remote[index]))
+    );
+  }
+
+  if (local && typeof local === "object") {
+    return (
+      !!remote &&
+      typeof remote === "object" &&
+      Object.keys(local).every((key) => matches(local[key], remote[key]))
+    );
+  }
+
+  return local === remote;
+};
+
+/**
+ * Compare two schemas. Unlike other keys, fields that exist only remotely
+ * count as a change so removed fields get synced too.
+ * @param {Object} local - Local schema
+ * @param {Object} remote - Remote schema
+ * @returns {boolean} Whether the schemas match
+ */
+const schemasMatch = (local = {}, remote = {}) => {
+  const localFields = Object.keys(local).sort();
+  const remoteFields = Object.keys(remote || {}).sort();
+
+  return (
+    localFields.length === remoteFields.length &&
+    localFields.every((field, index) => field === remoteFields[index]) &&
+    localFields.every((field) => matches(local[field], remote[field]))
+  );
+};
+
+/**
+ * List the keys of a definition that differ from the remote component
+ * @param {Object} definition - Local component definition
+ * @param {Object} component - Remote component
+ * @param {Map<string, string>} groupNames - Group uuid to name
+ * @returns {string[]} Changed keys
+ */
+export const diffComponent = (
+  definition,
+  component,
+  groupNames = new Map()
+) => {
+  const changes = Object.keys(definition)
+    .filter((key) => !LOCAL_ONLY_KEYS.includes(key))
+    .filter((key) =>
+      key === "schema"
+        ? !schemasMatch(definition.schema, component.schema)
+        : !matches(definition[key], component[key])
+    );
+
+  if (definition.component_group_name !== undefined) {
+    const remoteGroup = groupNames.get(component.component_group_uuid) || null;
+    if ((definition.component_group_name || null) !== remoteGroup) {
+      changes.push("component_group_name");
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Work out what has to change for the space to match the definitions
+ * @param {Array} definitions - Local component definitions
+ * @param {Array} components - Remote components
+ * @param {Array} groups - Remote component groups
+ * @param {Object} options - { prune } to also delete remote components with no definition
+ * @returns {Object} Plan with `groups`, `create`, `update`, `remove` and `unchanged`
+ */
+export const planComponentSync = (
+  definitions,
+  components,
+  groups = [],
+  { prune = false } = {}
+) => {
+  const remoteByName = new Map(components.map((c) => [c.name, c]));
+  const localNames = new Set(definitions.map((d) => d.name));
+  const groupNames = new Map(groups.map((g) => [g.uuid, g.name]));
+  const existingGroups = new Set(groups.map((g) => g.name));
+
+  const plan = {
+    groups: [],
+    create: [],
+    update: [],
+    remove: [],
+    unchanged: [],
+  };
+
+  definitions.forEach((definition) => {
+    const groupName = definition.component_group_name;
+    if (
+      groupName &&
+      !existingGroups.has(groupName) &&
+      !plan.groups.includes(groupName)
+    ) {
+      plan.groups.push(groupName);
+    }
+
+    const component = remoteByName.get(definition.name);
+    if (!component) {
+      plan.create.push({ definition });
+      return;
+    }
+
+    const changes = diffComponent(definition, component, groupNames);
+    if (changes.length > 0) {
+      plan.update.push({ definition, component, changes });
+    } else {
+      plan.unchanged.push(definition.name);
+    }
+  });
+
+  if (prune) {
+    plan.remove = components.filter((c) => !localNames.has(c.name));
+  }
+
+  return plan;
+};
+
+/**
+ * Sync local definitions to the space a client points at
+ * @param {Object} client - Management API client
+ * @param {Array} definitions - Local component definitions, in the same shape
+ *   as createComponent's argument plus an optional `component_group_name`
+ * @param {Object} options - Sync options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {boolean} options.prune - Delete remote components with no definition,
+ *   e.g. ones editors created in the space (default false)
+ * @param {AbortSignal} options.signal - Cancels the remaining requests
+ * @returns {Promise<Object>} Report listing group and component names per action
+ */
+export const syncComponentDefinitions = async (
+  client,
+  definitions,
+  { dryRun = false, prune = false, signal } = {}
+) => {
+  const [components, groups] = await Promise.all([
+    client.getComponents({ signal }),
+    client.getComponentGroups({ signal }),
+  ]);
+  const plan = planComponentSync(definitions, components, groups, { prune });
+
+  const report = {
+    dryRun,
+    groups: plan.groups,
+    create: plan.create.map(({ definition }) => definition.name),
+    update: plan.update.map(({ definition, changes }) => ({
+      name: definition.name,
+      changes,
+    })),
+    remove: plan.remove.map((component) => component.name),
+    unchanged: plan.unchanged,
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  const groupUuids = new Map(groups.map((g) => [g.name, g.uuid]));
+  for (const name of plan.groups) {
+    const group = await client.createComponentGroup({ name }, { signal });
+    groupUuids.set(name, group.uuid);
+  }
+
+  // Swap the group name for the uuid the API expects
+  const toPayload = ({ component_group_name, ...definition }) =>
+    component_group_name === undefined
+      ? definition
+      : {
+          ...definition,
+          component_group_uuid: groupUuids.get(component_group_name) || null,
+        };
+
+  for (const { definition } of plan.create) {
+    await client.createComponent(toPayload(definition), { signal });
+  }
+  for (const { definition, component } of plan.update) {
+    await client.updateComponent(component.id, toPayload(definition), {
+      signal,
+    });
+  }
+  for (const component of plan.remove) {
+    await client.deleteComponent(component.id, { signal });
+  }
+
+  return report;
+};
@@ -0,0 +1,92 @@
+import { diffComponent, planComponentSync } from "./componentSync";
+
+const page = {
+  name: "page",
+  is_root: true,
+  schema: { body: { type: "bloks" } },
+};
+
+describe("planComponentSync", () => {
+  test("creates components missing remotely", () => {
+    const plan = planComponentSync([page], []);
+
+    expect(plan.create).toEqual([{ definition: page }]);
+    expect(plan.update).toEqual([]);
+    expect(plan.unchanged).toEqual([]);
+  });
+
+  test("ignores keys the API adds", () => {
+    const remote = {
+      ...page,
+      id: 1,
+      created_at: "2024-01-01",
+      schema: { body: { type: "bloks" } },
+    };
+
+    expect(planComponentSync([page], [remote]).unchanged).toEqual(["page"]);
+  });
+
+  test("updates changed components and lists the changed keys", () => {
+    const remote = {
+      ...page,
+      id: 1,
+      is_root: false,
+      schema: { body: { type: "bloks" }, title: { type: "text" } },
+    };
+
+    const plan = planComponentSync([page], [remote]);
+
+    expect(plan.update).toEqual([
+      { definition: page, component: remote, changes: ["is_root", "schema"] },
+    ]);
+  });
+
+  test("only removes remote components when pruning", () => {
+    const remote = [
+      { id: 1, ...page },
+      { id: 2, name: "legacy" },
+    ];
+
+    expect(planComponentSync([page], remote).remove).toEqual([]);
+    expect(
+      planComponentSync([page], remote, [], { prune: true }).remove
+    ).toEqual([remote[1]]);
+  });
+
+  test("creates each missing group once", () => {
+    const definitions = [
+      { name: "hero", component_group_name: "Sections" },
+      { name: "teaser", component_group_name: "Sections" },
+      { name: "grid", component_group_name: "Layout" },
+    ];
+    const groups = [{ uuid: "g1", name: "Layout" }];
+
+    expect(planComponentSync(definitions, [], groups).groups).toEqual([
+      "Sections",
+    ]);
+  });
+
+  test("compares groups by name", () => {
+    const groups = [
+      { uuid: "g1", name: "Layout" },
+      { uuid: "g2", name: "Sections" },
+    ];
+    const definition = { name: "hero", component_group_name: "Sections" };
+    const groupNames = new Map(groups.map((g) => [g.uuid, g.name]));
+
+    expect(
+      diffComponent(
+        definition,
+        { name: "hero", component_group_uuid: "g2" },
+        groupNames
+      )
+    ).toEqual([]);
+    expect(
+      diffComponent(
+        definition,
+        { name: "hero", component_group_uuid: "g1" },
+        groupNames
+      )
+    ).toEqual(["component_group_name"]);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Content Migration
+ * Rewrites story content after a component schema change, with versioned
+ * migrations applied once per space
+ *
+ * A migration is { id, description, up }, where `up` maps component names
+ * to a transform: (blok) => blok. Each transform gets a copy of every blok
+ * of its component, including field translations (`headline__i18n__de`),
+ * and returns the new blok (or changes the copy and returns nothing).
+ */
+
+// Longest value shown in a change, so rich text doesn't flood the report
+const MAX_VALUE_LENGTH = 80;
+
+const isBlok = (value) =>
+  !!value &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  typeof value.component === "string" &&
+  "_uid" in value;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Apply a migration's transforms to every blok in some content. Bloks
+ * nested in a transformed blok (and in rich text) are migrated too.
+ * @param {*} content - Story content
+ * @param {Object} up - Component name -> (blok) => blok
+ * @returns {*} Migrated copy of the content
+ */
+export const migrateContent = (content, up = {}) => {
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(visit);
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    let node = value;
+    const transform = isBlok(value) && up[value.component];
+    if (transform) {
+      const copy = clone(value);
+      node = transform(copy) ?? copy;
+    }
+    return Object.fromEntries(
+      Object.entries(node).map(([key, item]) => [key, visit(item)])
+    );
+  };
+
+  return visit(content);
+};
+
+const formatValue = (value) => {
+  const text = value === undefined ? "(none)" : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH
+    ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...`
+    : text;
+};
+
+/**
+ * List the values that differ between two versions of some content
+ * @param {*} before - Original content
+ * @param {*} after - Migrated content
+ * @returns {Array} [{ path, before, after }], values shortened for display
+ */
+export const diffContent = (before, after) => {
+  const changes = [];
+
+  const walk = (a, b, path) => {
+    const bothObjects =
+      a && b && typeof a === "object" && typeof b === "object";
+    if (bothObjects && Array.isArray(a) === Array.isArray(b)) {
+      const keys = Array.isArray(a)
+        ? [...Array(Math.max(a.length, b.length)).keys()]
+        : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+      keys.forEach((key) =>
+        walk(
+          a[key],
+          b[key],
+          Array.isArray(a) ? `${path}[${key}]` : path ? `${path}.${key}` : key
+        )
+      );
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path, before: formatValue(a), after: formatValue(b) });
+    }
+  };
+
+  walk(before, after, "");
+  return changes;
+};
+
+/**
+ * Run the migrations that haven't been applied yet over every story in the
+ * space a client points at. Stories are saved once, with all migrations
+ * applied in order.
+ *
+ * Stories that fail to save are reported and the rest carry on; run again
+ * after fixing the cause. Transforms should therefore leave bloks that are
+ * already migrated unchanged. Stories that were saved but failed to publish
+ * are reported separately: their content is migrated, so a new run won't
+ * publish them.
+ * @param {Object} client - Management API client
+ * @param {Array} migrations - { id, description, up }, oldest first
+ * @param {Object} options - Run options
+ * @param {Array<string>} options.applied - Ids of migrations already applied to the space
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {boolean} options.publish - Publish migrated stories that were published
+ *   before. Stories with unpublished changes are left as drafts, so an
+ *   editor's work in progress doesn't go live.
+ * @param {Function} options.onProgress - Called with ({ done, total }) as stories are processed
+ * @param {AbortSignal} options.signal - Cancels the remaining requests
+ * @returns {Promise<Object>} Report: { dryRun, migrations, changed, unchanged,
+ *   published, keptAsDraft, failed, publishFailed }; `changed` lists
+ *   { id, full_slug, changes }, `failed` the stories that couldn't be read or
+ *   saved and `publishFailed` the saved ones that couldn't be published, both
+ *   as { id, full_slug, error }
+ */
+export const runContentMigrations = async (
+  client,
+  migrations,
+  { applied = [], dryRun = false, publish = false, onProgress, signal } = {}
+) => {
+  const appliedIds = new Set(applied);
+  const pending = migrations.filter(({ id }) => !appliedIds.has(id));
+  const report = {
+    dryRun,
+    migrations: pending.map(({ id }) => id),
+    changed: [],
+    unchanged: 0,
+    published: [],
+    keptAsDraft: [],
+    failed: [],
+    publishFailed: [],
+  };
+  if (pending.length === 0) {
+    return report;
+  }
+
+  const stories = await client.listStories({ story_only: true, signal });
+  let done = 0;
+  onProgress?.({ done, total: stories.length });
+
+  await Promise.all(
+    stories.map(async ({ id, full_slug }) => {
+      try {
+        const story = await client.getStory(id, { signal });
+        const content = pending.reduce(
+          (result, migration) => migrateContent(result, migration.up),
+          story.content
+        );
+        const changes = diffContent(story.content, content);
+        if (changes.length === 0) {
+          report.unchanged += 1;
+          return;
+        }
+
+        if (!dryRun) {
+          await client.updateStory(id, { content }, { signal });
+        }
+        report.changed.push({ id, full_slug, changes });
+        if (!dryRun && publish && story.published) {
+          if (story.unpublished_changes) {
+            report.keptAsDraft.push(full_slug);
+          } else {
+            try {
+              await client.publishStory(id, { signal });
+              report.published.push(full_slug);
+            } catch (error) {
+              if (error.name === "AbortError") {
+                throw error;
+              }
+              report.publishFailed.push({ id, full_slug, error });
+            }
+          }
+        }
+      } catch (error) {
+        if (error.name === "AbortError") {
+          throw error;
+        }
+        report.failed.push({ id, full_slug, error });
+      } finally {
+        done += 1;
+        onProgress?.({ done, total: stories.length });
+      }
+    })
+  );
+
+  report.changed.sort((a, b) => a.full_slug.localeCompare(b.full_slug));
+  return report;
+};
@@ -0,0 +1,118 @@
+import { diffContent, migrateContent } from "./contentMigration";
+
+const content = {
+  _uid: "1",
+  component: "page",
+  body: [
+    {
+      _uid: "2",
+      component: "hero",
+      headline: "Hi",
+      headline__i18n__de: "Hallo",
+    },
+    {
+      _uid: "3",
+      component: "grid",
+      columns: [{ _uid: "4", component: "hero", headline: "Nested" }],
+    },
+  ],
+};
+
+// Renames hero.headline to hero.title, translations included
+const renameHeadline = {
+  hero: ({ headline, headline__i18n__de, ...blok }) => ({
+    ...blok,
+    title: headline,
+    title__i18n__de: headline__i18n__de,
+  }),
+};
+
+describe("migrateContent", () => {
+  test("transforms every blok of a component, however deeply nested", () => {
+    const migrated = migrateContent(content, renameHeadline);
+
+    expect(migrated.body[0]).toEqual({
+      _uid: "2",
+      component: "hero",
+      title: "Hi",
+      title__i18n__de: "Hallo",
+    });
+    expect(migrated.body[1].columns[0].title).toBe("Nested");
+  });
+
+  test("leaves the original content untouched", () => {
+    const before = JSON.stringify(content);
+
+    migrateContent(content, renameHeadline);
+
+    expect(JSON.stringify(content)).toBe(before);
+  });
+
+  test("keeps the blok a transform changes in place", () => {
+    const migrated = migrateContent(content, {
+      grid: (blok) => {
+        blok.columns.push({ _uid: "5", component: "hero", headline: "New" });
+      },
+      hero: (blok) => {
+        blok.headline = blok.headline.toUpperCase();
+      },
+    });
+
+    expect(migrated.body[1].columns.map((blok) => blok.headline)).toEqual([
+      "NESTED",
+      "NEW",
+    ]);
+  });
+
+  test("migrates bloks inside rich text", () => {
+    const richText = {
+      type: "doc",
+      content: [
+        {
+          type: "blok",
+          attrs: {
+            body: [{ _uid: "6", component: "hero", headline: "In text" }],
+          },
+        },
+      ],
+    };
+
+    const migrated = migrateContent(richText, renameHeadline);
+
+    expect(migrated.content[0].attrs.body[0].title).toBe("In text");
+  });
+});
+
+describe("diffContent", () => {
+  test("lists changed, added and removed values by path", () => {
+    const migrated = migrateContent(content, renameHeadline);
+
+    expect(diffContent(content, migrated)).toEqual([
+      { path: "body[0].headline", before: '"Hi"', after: "(none)" },
+      {
+        path: "body[0].headline__i18n__de",
+        before: '"Hallo"',
+        after: "(none)",
+      },
+      { path: "body[0].title", before: "(none)", after: '"Hi"' },
+      { path: "body[0].title__i18n__de", before: "(none)", after: '"Hallo"' },
+      {
+        path: "body[1].columns[0].headline",
+        before: '"Nested"',
+        after: "(none)",
+      },
+      { path: "body[1].columns[0].title", before: "(none)", after: '"Nested"' },
+    ]);
+  });
+
+  test("is empty when nothing changed", () => {
+    expect(diffContent(content, migrateContent(content, {}))).toEqual([]);
+  });
+
+  test("shortens long values", () => {
+    const [change] = diffContent({ text: "a" }, { text: "b".repeat(200) });
+
+    expect(change.after).toHaveLength(80);
+    expect(change.after.endsWith("...")).toBe(true);
+  });
+});
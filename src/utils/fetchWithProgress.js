@@ -0,0 +1,90 @@
+/**
+ * fetch-compatible request over XMLHttpRequest
+ * fetch cannot report upload progress, XHR can
+ */
+
+import { createAbortError } from "./requestQueue";
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Parse the raw header block from getAllResponseHeaders
+ * @param {string} raw - Header lines
+ * @returns {Headers} Parsed headers
+ */
+const parseHeaders = (raw) => {
+  const headers = new Headers();
+  raw
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const index = line.indexOf(":");
+      if (index > 0) {
+        headers.append(
+          line.slice(0, index).trim(),
+          line.slice(index + 1).trim()
+        );
+      }
+    });
+  return headers;
+};
+
+/**
+ * Send a request like fetch does, reporting upload progress
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init (method, headers, body, signal)
+ * @param {Function} init.onUploadProgress - Called with { loaded, total }
+ * @returns {Promise<Response>} Response
+ */
+export const fetchWithProgress = (
+  url,
+  { method = "GET", headers = {}, body, signal, onUploadProgress } = {}
+) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.responseType = "blob";
+    Object.entries(headers).forEach(([name, value]) =>
+      xhr.setRequestHeader(name, value)
+    );
+
+    const onAbort = () => xhr.abort();
+    const cleanup = () => signal?.removeEventListener("abort", onAbort);
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable && onUploadProgress) {
+        onUploadProgress({ loaded: event.loaded, total: event.total });
+      }
+    };
+    xhr.onload = () => {
+      cleanup();
+      resolve(
+        new Response(
+          NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response,
+          {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: parseHeaders(xhr.getAllResponseHeaders()),
+          }
+        )
+      );
+    };
+    xhr.onerror = () => {
+      cleanup();
+      reject(new TypeError("Network request failed"));
+    };
+    xhr.ontimeout = xhr.onerror;
+    xhr.onabort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    xhr.send(body ?? null);
+  });
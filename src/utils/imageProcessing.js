@@ -0,0 +1,146 @@
+/**
+ * Image Processing Utility
+ * Resizes and re-encodes images in the browser before upload. Drawing to a
+ * canvas drops all metadata, so EXIF/GPS data never leaves the device.
+ */
+
+// Vector and possibly animated formats are uploaded untouched
+const SKIPPED_TYPES = ["image/svg+xml", "image/gif"];
+
+const OUTPUT_TYPES = {
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+};
+
+const EXTENSIONS = {
+  "image/webp": "webp",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+};
+
+/**
+ * Decode a file into something drawable, applying EXIF orientation so the
+ * image is not rotated once the metadata is gone
+ * @param {File} file - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === "function") {
+    try {
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch (e) {
+      // Fall through to <img>, e.g. older Safari rejects the options bag
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Draw an image at a size and encode it
+ * @returns {Promise<Blob>} Encoded image
+ */
+const encode = async (image, width, height, type, quality) => {
+  if (typeof OffscreenCanvas !== "undefined") {
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+    return canvas.convertToBlob({ type, quality });
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not encode image")),
+      type,
+      quality
+    )
+  );
+};
+
+/**
+ * Resize and re-encode an image before upload
+ * @param {File} file - Image file
+ * @param {Object} options - Processing options
+ * @param {number} options.maxDimension - Longest side in pixels; larger images are scaled down
+ * @param {string} options.format - "original", "webp" or "jpeg"
+ * @param {number} options.quality - Encoder quality between 0 and 1
+ * @returns {Promise<Object>} { file, originalSize, size, width, height, processed }
+ */
+export const processImage = async (
+  file,
+  { maxDimension = 0, format = "original", quality = 0.82 } = {}
+) => {
+  if (SKIPPED_TYPES.includes(file.type)) {
+    return {
+      file,
+      originalSize: file.size,
+      size: file.size,
+      processed: false,
+    };
+  }
+
+  const image = await decodeImage(file);
+  const sourceWidth = image.naturalWidth || image.width;
+  const sourceHeight = image.naturalHeight || image.height;
+  const scale =
+    maxDimension > 0
+      ? Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight))
+      : 1;
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+
+  const type = OUTPUT_TYPES[format] || file.type;
+  let blob = await encode(image, width, height, type, quality);
+  // Browsers that can't encode WebP silently return PNG; JPEG is smaller
+  if (blob.type !== type && type === "image/webp") {
+    blob = await encode(image, width, height, "image/jpeg", quality);
+  }
+  image.close?.();
+
+  const extension = EXTENSIONS[blob.type];
+  const name = extension
+    ? file.name.replace(/\.[^.]+$/, "") + `.${extension}`
+    : file.name;
+
+  return {
+    file: new File([blob], name, {
+      type: blob.type,
+      lastModified: file.lastModified,
+    }),
+    originalSize: file.size,
+    size: blob.size,
+    width,
+    height,
+    processed: true,
+  };
+};
+
+/**
+ * Read processing options from the upload_image blok fields
+ * @param {Object} blok - upload_image blok
+ * @returns {Object|null} Options for processImage, or null when disabled
+ */
+export const getProcessingOptions = (blok = {}) => {
+  if (!blok.process_images) {
+    return null;
+  }
+
+  const quality = Number(blok.quality);
+  return {
+    maxDimension: Number(blok.max_dimension) || 0,
+    format: blok.output_format || "original",
+    quality: quality > 0 ? Math.min(quality, 100) / 100 : 0.82,
+  };
+};
@@ -0,0 +1,58 @@
+/**
+ * Link Utility
+ * Turns Storyblok links (multilink fields and rich text link marks) into
+ * hrefs for this app
+ */
+
+import config from "../config";
+import { getPathFromSlug } from "./routing";
+import { stripSlugLocale, withLocale } from "./locales";
+
+/**
+ * href for a Storyblok link
+ * @param {Object} link - Multilink field value ({ linktype, url, cached_url, email, anchor })
+ *   or rich text link mark attrs ({ linktype, href, anchor })
+ * @param {Object} options - Options
+ * @param {string} options.language - Language prefix for story links, "" for the default language
+ * @returns {string} href, or "" for an empty link
+ */
+export const getLinkHref = (link, { language = "" } = {}) => {
+  if (!link) {
+    return "";
+  }
+
+  const { linktype, anchor } = link;
+  const url = link.href ?? link.url ?? "";
+  const hash = anchor ? `#${anchor}` : "";
+
+  if (linktype === "email") {
+    const email = link.email || url;
+    return email ? `mailto:${email.replace(/^mailto:/, "")}` : "";
+  }
+
+  if (linktype === "story") {
+    // Resolved links carry the story; otherwise cached_url holds its last known slug
+    const slug = link.story?.full_slug ?? link.cached_url ?? url;
+    if (!slug) {
+      return hash;
+    }
+    // Absolute URLs come from spaces with a preview URL prefix set
+    if (/^[a-z]+:\/\//i.test(slug)) {
+      return slug + hash;
+    }
+    const path = getPathFromSlug(
+      stripSlugLocale(slug, config.languages),
+      config.homeSlug
+    );
+    return withLocale(path, language) + hash;
+  }
+
+  return url || link.cached_url || "";
+};
+
+/**
+ * Whether an href leaves the site, so it should open with rel="noopener"
+ * @param {string} href - Link href
+ * @returns {boolean}
+ */
+export const isExternalHref = (href = "") => /^[a-z]+:\/\//i.test(href);
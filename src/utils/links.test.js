@@ -0,0 +1,44 @@
+import { getLinkHref, isExternalHref } from "./links";
+
+jest.mock("../config", () => ({
+  __esModule: true,
+  default: { homeSlug: "home", languages: ["de"] },
+}));
+
+describe("getLinkHref", () => {
+  test("links stories by path, in the current language", () => {
+    const link = { linktype: "story", cached_url: "about", anchor: "team" };
+
+    expect(getLinkHref(link)).toBe("/about#team");
+    expect(getLinkHref(link, { language: "de" })).toBe("/de/about#team");
+  });
+
+  test("doesn't repeat the language of a story loaded in it", () => {
+    const link = { linktype: "story", story: { full_slug: "de/about" } };
+
+    expect(getLinkHref(link, { language: "de" })).toBe("/de/about");
+    expect(
+      getLinkHref(
+        { linktype: "story", cached_url: "de/home" },
+        { language: "de" }
+      )
+    ).toBe("/de");
+  });
+
+  test("links emails and URLs", () => {
+    expect(getLinkHref({ linktype: "email", email: "hi@example.com" })).toBe(
+      "mailto:hi@example.com"
+    );
+    expect(getLinkHref({ linktype: "url", url: "https://example.com" })).toBe(
+      "https://example.com"
+    );
+    expect(getLinkHref(null)).toBe("");
+  });
+});
+
+describe("isExternalHref", () => {
+  test("detects absolute URLs", () => {
+    expect(isExternalHref("https://example.com")).toBe(true);
+    expect(isExternalHref("/about")).toBe(false);
+  });
+});
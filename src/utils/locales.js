@@ -0,0 +1,96 @@
+/**
+ * Locale Utility
+ * Language prefixes in URL paths ("/de/about") and the alternate language
+ * versions of a story
+ */
+
+import { getPathFromSlug } from "./routing";
+
+/**
+ * Split a language prefix off a path
+ * @param {string} pathname - URL path
+ * @param {Array<string>} languages - Language codes that get a prefix
+ * @returns {Object} { language, pathname }: "/de/about" -> { language: "de", pathname: "/about" };
+ *   language is "" for the default language
+ */
+export const splitLocale = (pathname = "/", languages = []) => {
+  const [first, ...rest] = pathname.split("/").filter(Boolean);
+  return first && languages.includes(first)
+    ? { language: first, pathname: `/${rest.join("/")}` }
+    : { language: "", pathname };
+};
+
+/**
+ * Split a language prefix off a story's full slug. Stories loaded in a
+ * language can have it in front of their full slug.
+ * @param {string} fullSlug - Story full slug
+ * @param {Array<string>} languages - Language codes that get a prefix
+ * @returns {string} Full slug without the prefix: "de/about" -> "about"
+ */
+export const stripSlugLocale = (fullSlug = "", languages = []) =>
+  splitLocale(`/${fullSlug}`, languages).pathname.slice(1);
+
+/**
+ * Add a language prefix to a path
+ * @param {string} pathname - URL path without a language prefix
+ * @param {string} language - Language code, or "" for the default language
+ * @returns {string} e.g. "/de/about", or "/de" for "/"
+ */
+export const withLocale = (pathname, language) => {
+  if (!language) {
+    return pathname;
+  }
+  return pathname === "/" ? `/${language}` : `/${language}${pathname}`;
+};
+
+/**
+ * Languages a story is available in. Stories with translated slugs list
+ * their translations; otherwise every language is assumed to exist, as
+ * untranslated fields fall back to the default language.
+ * @param {Object} story - Story from the Content Delivery API
+ * @param {Array<string>} languages - Configured language codes
+ * @returns {Array<string>} Language codes, "" first for the default language
+ */
+export const getStoryLanguages = (story, languages = []) => {
+  const translated = story?.translated_slugs;
+  const available = Array.isArray(translated)
+    ? languages.filter((language) =>
+        translated.some((slug) => slug.lang === language)
+      )
+    : languages;
+  return ["", ...available];
+};
+
+/**
+ * Links to every language version of the current page. Translated slugs
+ * (and the default slug of a story loaded in another language) give the
+ * path of a version; otherwise it is the current path with the prefix.
+ * @param {Object} story - Story from the Content Delivery API
+ * @param {string} pathname - Current path without its language prefix
+ * @param {Object} options - { defaultLanguage, languages, homeSlug }, see ../config
+ * @returns {Array} [{ language, hreflang, path }]
+ */
+export const getLanguageAlternates = (
+  story,
+  pathname,
+  { defaultLanguage = "en", languages = [], homeSlug = "home" } = {}
+) => {
+  const getSlug = (language) =>
+    language
+      ? story?.translated_slugs?.find((slug) => slug.lang === language)?.path
+      : story?.default_full_slug;
+
+  return getStoryLanguages(story, languages).map((language) => {
+    const slug = getSlug(language);
+    return {
+      language,
+      hreflang: language || defaultLanguage,
+      path: withLocale(
+        slug
+          ? getPathFromSlug(stripSlugLocale(slug, languages), homeSlug)
+          : pathname,
+        language
+      ),
+    };
+  });
+};
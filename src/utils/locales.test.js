@@ -0,0 +1,104 @@
+import {
+  getLanguageAlternates,
+  getStoryLanguages,
+  splitLocale,
+  stripSlugLocale,
+  withLocale,
+} from "./locales";
+
+const languages = ["de", "fr"];
+
+describe("splitLocale", () => {
+  test("splits a configured language prefix off a path", () => {
+    expect(splitLocale("/de/about", languages)).toEqual({
+      language: "de",
+      pathname: "/about",
+    });
+    expect(splitLocale("/de", languages)).toEqual({
+      language: "de",
+      pathname: "/",
+    });
+  });
+
+  test("leaves other paths alone", () => {
+    expect(splitLocale("/es/about", languages)).toEqual({
+      language: "",
+      pathname: "/es/about",
+    });
+    expect(splitLocale("/design", languages)).toEqual({
+      language: "",
+      pathname: "/design",
+    });
+  });
+});
+
+describe("stripSlugLocale", () => {
+  test("removes a language prefix from a full slug", () => {
+    expect(stripSlugLocale("de/about", languages)).toBe("about");
+    expect(stripSlugLocale("about", languages)).toBe("about");
+    expect(stripSlugLocale("blog/", languages)).toBe("blog/");
+  });
+});
+
+describe("withLocale", () => {
+  test("adds a language prefix", () => {
+    expect(withLocale("/about", "de")).toBe("/de/about");
+    expect(withLocale("/", "de")).toBe("/de");
+    expect(withLocale("/about", "")).toBe("/about");
+  });
+});
+
+describe("getStoryLanguages", () => {
+  test("lists translated languages, default first", () => {
+    const story = { translated_slugs: [{ lang: "fr", path: "a-propos" }] };
+
+    expect(getStoryLanguages(story, languages)).toEqual(["", "fr"]);
+  });
+
+  test("assumes every language without translated slugs", () => {
+    expect(getStoryLanguages({}, languages)).toEqual(["", "de", "fr"]);
+  });
+});
+
+describe("getLanguageAlternates", () => {
+  test("links every language version of a page", () => {
+    expect(
+      getLanguageAlternates({}, "/about", { defaultLanguage: "en", languages })
+    ).toEqual([
+      { language: "", hreflang: "en", path: "/about" },
+      { language: "de", hreflang: "de", path: "/de/about" },
+      { language: "fr", hreflang: "fr", path: "/fr/about" },
+    ]);
+  });
+
+  test("links translated versions by their translated slug", () => {
+    const story = {
+      full_slug: "de/ueber-uns",
+      default_full_slug: "about",
+      translated_slugs: [
+        { lang: "de", path: "ueber-uns" },
+        { lang: "fr", path: "a-propos" },
+      ],
+    };
+
+    expect(
+      getLanguageAlternates(story, "/ueber-uns", {
+        defaultLanguage: "en",
+        languages,
+      })
+    ).toEqual([
+      { language: "", hreflang: "en", path: "/about" },
+      { language: "de", hreflang: "de", path: "/de/ueber-uns" },
+      { language: "fr", hreflang: "fr", path: "/fr/a-propos" },
+    ]);
+  });
+
+  test("links the home story at the language root", () => {
+    const story = { translated_slugs: [{ lang: "de", path: "home" }] };
+
+    expect(getLanguageAlternates(story, "/", { languages })).toEqual([
+      { language: "", hreflang: "en", path: "/" },
+      { language: "de", hreflang: "de", path: "/de" },
+    ]);
+  });
+});
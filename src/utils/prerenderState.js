@@ -0,0 +1,37 @@
+/**
+ * Prerender State Utility
+ * Hands the story of a prerendered page to the browser, so the app can
+ * hydrate the static HTML without loading the story again
+ */
+
+// id of the <script type="application/json"> holding the state
+export const PRERENDER_STATE_ID = "storyblok-state";
+
+// Marks head tags written by the prerenderer; the app replaces them once running
+export const PRERENDERED_ATTRIBUTE = "data-prerendered";
+
+/**
+ * JSON for the state script. "<" is escaped so content can't close the tag.
+ * @param {Object} state - { slug, language, version, story, status }
+ * @returns {string}
+ */
+export const serializePrerenderState = (state) =>
+  JSON.stringify(state).replace(/</g, "\\u003c");
+
+/**
+ * State inlined into a prerendered page
+ * @param {Document} doc - Document to read from
+ * @returns {Object|null} { slug, language, version, story, status }, or null
+ *   when the page wasn't prerendered
+ */
+export const readPrerenderState = (doc = document) => {
+  const script = doc.getElementById(PRERENDER_STATE_ID);
+  if (!script) {
+    return null;
+  }
+  try {
+    return JSON.parse(script.textContent);
+  } catch (e) {
+    return null;
+  }
+};
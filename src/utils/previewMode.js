@@ -0,0 +1,114 @@
+/**
+ * Preview Mode Utility
+ * Decides whether the app shows draft or published content
+ *
+ * In builds with preview enabled (see config), drafts are shown inside the
+ * Storyblok Visual Editor, after opening any page with `?preview=<secret>`,
+ * and during development. The choice lasts
+ * for the browser session because client-side navigation drops the query
+ * string; `?preview=off` ends it.
+ */
+
+import config from "../config";
+
+const STORAGE_KEY = "storyblok-preview";
+
+// sessionStorage throws when storage is disabled, e.g. in some private modes
+const storage = {
+  get: () => {
+    try {
+      return window.sessionStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  },
+  set: (value) => {
+    try {
+      if (value) {
+        window.sessionStorage.setItem(STORAGE_KEY, value);
+      } else {
+        window.sessionStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (e) {
+      // Preview then only lasts until the next full page load
+    }
+  },
+};
+
+/**
+ * Whether the page was opened by the Storyblok Visual Editor, which adds
+ * `_storyblok` and `_storyblok_tk[...]` query parameters
+ * @param {string} search - Query string
+ * @returns {boolean}
+ */
+export const isVisualEditor = (search = window.location.search) =>
+  new URLSearchParams(search).has("_storyblok");
+
+/**
+ * Work out the preview state from the query string and the session
+ * @param {string} search - Query string
+ * @param {Object} options - { secret, stored, development }
+ * @returns {string|null} "editor", "secret" or "development" when previewing, otherwise null
+ */
+export const detectPreview = (
+  search,
+  { secret = "", stored = null, development = false } = {}
+) => {
+  const preview = new URLSearchParams(search).get("preview");
+  if (preview === "off") {
+    return null;
+  }
+  if (isVisualEditor(search)) {
+    return "editor";
+  }
+  if (secret && preview === secret) {
+    return "secret";
+  }
+  return stored || (development ? "development" : null);
+};
+
+let previewState;
+
+/**
+ * Preview state for this page load, detected once and remembered for the
+ * session. The secret is removed from the address bar so it isn't shared
+ * along with the URL.
+ * @returns {string|null} "editor", "secret", "development" or null
+ */
+export const getPreviewState = () => {
+  // Prerendered pages show published content
+  if (!config.previewEnabled || typeof window === "undefined") {
+    return null;
+  }
+  if (previewState === undefined) {
+    const search = window.location.search;
+    previewState = detectPreview(search, {
+      secret: config.previewSecret,
+      stored: storage.get(),
+      development: process.env.NODE_ENV === "development",
+    });
+    storage.set(previewState === "development" ? null : previewState);
+
+    const url = new URL(window.location.href);
+    if (url.searchParams.has("preview")) {
+      url.searchParams.delete("preview");
+      window.history.replaceState(window.history.state, "", url);
+    }
+  }
+  return previewState;
+};
+
+/**
+ * Content version to request from the Content Delivery API
+ * @returns {string} "draft" or "published"
+ */
+export const getContentVersion = () =>
+  getPreviewState() ? "draft" : "published";
+
+/**
+ * Delivery API token for a content version
+ * @param {string} version - "draft" or "published"
+ * @returns {string} Access token, "" if it isn't configured
+ */
+export const getAccessToken = (version) =>
+  version === "draft" ? config.previewToken : config.publicToken;
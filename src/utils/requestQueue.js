@@ -0,0 +1,265 @@
+/**
+ * Request Queue Utility
+ * Throttles outgoing requests and retries rate-limited or failed ones
+ */
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// A POST that failed with a 5xx or on the network may still have been
+// applied, so sending it again could create a duplicate
+const NON_IDEMPOTENT_METHODS = ["POST", "PATCH"];
+
+/**
+ * Create an AbortError like the one fetch rejects with
+ * @returns {Error} Abort error
+ */
+export const createAbortError = () => {
+  try {
+    return new DOMException("The operation was aborted.", "AbortError");
+  } catch (e) {
+    const error = new Error("The operation was aborted.");
+    error.name = "AbortError";
+    return error;
+  }
+};
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Backoff configuration
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (
+  attempt,
+  { minDelay = 500, maxDelay = 30000 } = {}
+) => Math.random() * Math.min(maxDelay, minDelay * 2 ** attempt);
+
+// ==================== QUEUE ====================
+
+/**
+ * Create a queue that runs at most `concurrency` tasks at once and starts
+ * at most `requestsPerSecond` tasks in any one-second window
+ * @param {Object} options - Queue configuration
+ * @param {number} options.concurrency - Max tasks running at once
+ * @param {number} options.requestsPerSecond - Max tasks started per second
+ * @returns {Object} Queue with `add(task, { signal })` and `pause(ms)` methods
+ */
+export const createRequestQueue = ({
+  concurrency = 3,
+  requestsPerSecond = 3,
+} = {}) => {
+  const pending = [];
+  let active = 0;
+  let startedAt = [];
+  let pausedUntil = 0;
+  let timer = null;
+
+  const wake = () => {
+    timer = null;
+    next();
+  };
+
+  const settle = () => {
+    active -= 1;
+    next();
+  };
+
+  const run = (entry) => {
+    entry.signal?.removeEventListener("abort", entry.onAbort);
+    active += 1;
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(settle);
+  };
+
+  const next = () => {
+    if (timer) return;
+
+    const pause = pausedUntil - Date.now();
+    if (pending.length > 0 && pause > 0) {
+      timer = setTimeout(wake, pause);
+      return;
+    }
+
+    while (pending.length > 0 && active < concurrency) {
+      const now = Date.now();
+      startedAt = startedAt.filter((time) => now - time < 1000);
+
+      if (requestsPerSecond && startedAt.length >= requestsPerSecond) {
+        timer = setTimeout(wake, 1000 - (now - startedAt[0]));
+        return;
+      }
+
+      startedAt.push(now);
+      run(pending.shift());
+    }
+  };
+
+  /**
+   * Add a task to the queue
+   * @param {Function} task - Function returning a promise
+   * @param {Object} options - Task options
+   * @param {AbortSignal} options.signal - Removes the task from the queue when aborted
+   * @returns {Promise<*>} Resolves with the task result
+   */
+  const add = (task, { signal } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const entry = { task, resolve, reject, signal };
+      entry.onAbort = () => {
+        const index = pending.indexOf(entry);
+        if (index !== -1) {
+          pending.splice(index, 1);
+          reject(createAbortError());
+        }
+      };
+      signal?.addEventListener("abort", entry.onAbort, { once: true });
+
+      pending.push(entry);
+      next();
+    });
+
+  /**
+   * Hold back queued tasks for a while, e.g. after the API asked to retry
+   * later. Tasks already running are not affected.
+   * @param {number} ms - Delay in milliseconds
+   */
+  const pause = (ms) => {
+    const until = Date.now() + ms;
+    if (until <= pausedUntil) return;
+
+    pausedUntil = until;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    next();
+  };
+
+  return {
+    add,
+    pause,
+    get size() {
+      return pending.length;
+    },
+    get active() {
+      return active;
+    },
+  };
+};
+
+// ==================== RETRY ====================
+
+/**
+ * Run fetch through a queue, retrying 429 and 5xx responses and network
+ * errors with exponential backoff. Non-idempotent requests (POST, PATCH) are
+ * only retried on 429, which the API answers before doing anything. A
+ * Retry-After on a 429 pauses the whole queue, not just this request.
+ * @param {Function} fetchImpl - fetch implementation
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init; `init.signal` cancels queued, waiting and in-flight work
+ * @param {Object} options - Retry configuration
+ * @param {Object} options.queue - Queue created by createRequestQueue
+ * @param {number} options.retries - Max retries after the first attempt
+ * @param {number} options.minDelay - Base backoff delay in milliseconds
+ * @param {number} options.maxDelay - Backoff ceiling in milliseconds
+ * @param {boolean} options.idempotent - Whether 5xx and network errors may be
+ *   retried; defaults to false for POST and PATCH, true otherwise
+ * @returns {Promise<Response>} Last response received
+ */
+export const fetchWithRetry = async (
+  fetchImpl,
+  url,
+  init = {},
+  {
+    queue,
+    retries = 4,
+    minDelay = 500,
+    maxDelay = 30000,
+    idempotent = !NON_IDEMPOTENT_METHODS.includes(
+      (init.method || "GET").toUpperCase()
+    ),
+  } = {}
+) => {
+  const { signal } = init;
+  const send = () => fetchImpl(url, init);
+
+  for (let attempt = 0; ; attempt += 1) {
+    let response;
+    try {
+      response = await (queue ? queue.add(send, { signal }) : send());
+    } catch (error) {
+      if (error.name === "AbortError" || !idempotent || attempt >= retries) {
+        throw error;
+      }
+      await sleep(getBackoffDelay(attempt, { minDelay, maxDelay }), signal);
+      continue;
+    }
+
+    const retryable =
+      response.status === 429 ||
+      (idempotent && RETRYABLE_STATUSES.includes(response.status));
+    if (!retryable || attempt >= retries) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    if (response.status === 429 && retryAfter !== null) {
+      queue?.pause(retryAfter);
+    }
+    const backoff = getBackoffDelay(attempt, { minDelay, maxDelay });
+    await sleep(Math.max(retryAfter ?? 0, backoff), signal);
+  }
+};
@@ -0,0 +1,213 @@
+import {
+  createRequestQueue,
+  fetchWithRetry,
+  parseRetryAfter,
+} from "./requestQueue";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createResponse = (status, headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name] ?? null },
+});
+
+// A task that only settles when `resolve` is called
+const createDeferredTask = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  const task = jest.fn(() => promise);
+  return { task, resolve };
+};
+
+describe("createRequestQueue", () => {
+  test("runs at most `concurrency` tasks at once", async () => {
+    const queue = createRequestQueue({ concurrency: 2, requestsPerSecond: 0 });
+    const tasks = [1, 2, 3, 4].map(createDeferredTask);
+    const results = tasks.map(({ task }) => queue.add(task));
+
+    await delay(0);
+    expect(queue.active).toBe(2);
+    expect(queue.size).toBe(2);
+    expect(tasks[2].task).not.toHaveBeenCalled();
+
+    tasks[0].resolve("first");
+    await delay(0);
+    expect(queue.active).toBe(2);
+    expect(tasks[2].task).toHaveBeenCalled();
+    expect(tasks[3].task).not.toHaveBeenCalled();
+
+    tasks.forEach(({ resolve }, index) => resolve(index));
+    await expect(Promise.all(results)).resolves.toEqual(["first", 1, 2, 3]);
+  });
+
+  test("starts at most `requestsPerSecond` tasks per second", async () => {
+    const queue = createRequestQueue({ concurrency: 10, requestsPerSecond: 2 });
+    const startedAt = [];
+    const start = Date.now();
+
+    await Promise.all(
+      [1, 2, 3].map(() =>
+        queue.add(async () => startedAt.push(Date.now() - start))
+      )
+    );
+
+    expect(startedAt[1]).toBeLessThan(500);
+    expect(startedAt[2]).toBeGreaterThanOrEqual(950);
+  });
+
+  test("removes a queued task when its signal aborts", async () => {
+    const queue = createRequestQueue({ concurrency: 1, requestsPerSecond: 0 });
+    const running = createDeferredTask();
+    const waiting = jest.fn();
+    const controller = new AbortController();
+
+    queue.add(running.task);
+    const aborted = queue.add(waiting, { signal: controller.signal });
+    controller.abort();
+
+    await expect(aborted).rejects.toMatchObject({ name: "AbortError" });
+    expect(queue.size).toBe(0);
+
+    running.resolve();
+    await delay(0);
+    expect(waiting).not.toHaveBeenCalled();
+  });
+
+  test("rejects a task whose signal already aborted", async () => {
+    const queue = createRequestQueue();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      queue.add(jest.fn(), { signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  test("holds back queued tasks while paused", async () => {
+    const queue = createRequestQueue({ requestsPerSecond: 0 });
+    const start = Date.now();
+
+    queue.pause(200);
+    const startedAfter = await queue.add(async () => Date.now() - start);
+
+    expect(startedAfter).toBeGreaterThanOrEqual(190);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  test("reads seconds and HTTP dates", () => {
+    expect(parseRetryAfter("2")).toBe(2000);
+    const untilDate = parseRetryAfter(
+      new Date(Date.now() + 5000).toUTCString()
+    );
+    expect(untilDate).toBeGreaterThan(3000);
+    expect(untilDate).toBeLessThanOrEqual(5000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+describe("fetchWithRetry", () => {
+  const retry = { minDelay: 1, maxDelay: 1 };
+
+  test("retries 5xx responses and network errors for GET", async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("offline"))
+      .mockResolvedValueOnce(createResponse(503))
+      .mockResolvedValueOnce(createResponse(200));
+
+    const response = await fetchWithRetry(fetchImpl, "/stories", {}, retry);
+
+    expect(response.status).toBe(200);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  test("returns the last response once retries run out", async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(createResponse(500));
+
+    const response = await fetchWithRetry(
+      fetchImpl,
+      "/stories",
+      { method: "PUT" },
+      { ...retry, retries: 2 }
+    );
+
+    expect(response.status).toBe(500);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  test("doesn't retry a POST on 5xx or network errors", async () => {
+    const failing = jest.fn().mockResolvedValue(createResponse(502));
+    const offline = jest.fn().mockRejectedValue(new Error("offline"));
+
+    const response = await fetchWithRetry(
+      failing,
+      "/stories",
+      { method: "POST" },
+      retry
+    );
+    expect(response.status).toBe(502);
+    expect(failing).toHaveBeenCalledTimes(1);
+
+    await expect(
+      fetchWithRetry(offline, "/stories", { method: "POST" }, retry)
+    ).rejects.toThrow("offline");
+    expect(offline).toHaveBeenCalledTimes(1);
+  });
+
+  test("retries a POST on 429", async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(createResponse(429))
+      .mockResolvedValueOnce(createResponse(201));
+
+    const response = await fetchWithRetry(
+      fetchImpl,
+      "/stories",
+      { method: "POST" },
+      retry
+    );
+
+    expect(response.status).toBe(201);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test("pauses the whole queue until Retry-After", async () => {
+    const queue = createRequestQueue({ concurrency: 2, requestsPerSecond: 0 });
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(createResponse(429, { "Retry-After": "0.3" }))
+      .mockResolvedValueOnce(createResponse(200));
+    const start = Date.now();
+
+    const response = fetchWithRetry(fetchImpl, "/stories", {}, { queue });
+    await delay(50);
+    const otherStartedAfter = await queue.add(async () => Date.now() - start);
+
+    expect(otherStartedAfter).toBeGreaterThanOrEqual(290);
+    expect((await response).status).toBe(200);
+  });
+
+  test("stops waiting for a retry when the signal aborts", async () => {
+    const controller = new AbortController();
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValue(createResponse(429, { "Retry-After": "10" }));
+
+    const response = fetchWithRetry(
+      fetchImpl,
+      "/stories",
+      { signal: controller.signal },
+      retry
+    );
+    await delay(0);
+    controller.abort();
+
+    await expect(response).rejects.toMatchObject({ name: "AbortError" });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Routing Utility
+ * Maps URL paths to story slugs and back
+ */
+
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+};
+
+/**
+ * Story slug for a URL path: "/blog/post/" -> "blog/post", "/" -> homeSlug
+ * @param {string} pathname - URL path, without query string or hash
+ * @param {string} homeSlug - Slug of the story at "/"
+ * @returns {string} Full slug
+ */
+export const getSlugFromPath = (pathname = "/", homeSlug = "home") =>
+  pathname.split("/").filter(Boolean).map(decode).join("/") || homeSlug;
+
+/**
+ * URL path for a story: "blog/post" -> "/blog/post", homeSlug -> "/".
+ * Folder start pages ("blog/") map to the folder path.
+ * @param {string} fullSlug - Story full slug
+ * @param {string} homeSlug - Slug of the story at "/"
+ * @returns {string} URL path
+ */
+export const getPathFromSlug = (fullSlug = "", homeSlug = "home") => {
+  const slug = fullSlug.replace(/^\/+|\/+$/g, "");
+  return !slug || slug === homeSlug ? "/" : `/${slug}`;
+};
+
+/**
+ * The canonical form of a path: no trailing or repeated slashes, and "/"
+ * for the home story
+ * @param {string} pathname - URL path
+ * @param {string} homeSlug - Slug of the story at "/"
+ * @returns {string} Canonical path
+ */
+export const getCanonicalPath = (pathname = "/", homeSlug = "home") => {
+  const segments = pathname.split("/").filter(Boolean);
+  return getSlugFromPath(pathname, homeSlug) === homeSlug
+    ? "/"
+    : `/${segments.join("/")}`;
+};
+
+/**
+ * Same-origin URL path of a link the router handles, or null when the
+ * browser should follow it (other origins, new tabs, downloads and
+ * same-page anchors)
+ * @param {Element} target - Link, or an element inside one
+ * @returns {string|null} Path with query string and hash
+ */
+export const getInternalLinkPath = (target) => {
+  const anchor = target?.closest?.("a[href]");
+  if (
+    !anchor ||
+    (anchor.target && anchor.target !== "_self") ||
+    anchor.hasAttribute("download") ||
+    (anchor.getAttribute("rel") || "").split(/\s+/).includes("external")
+  ) {
+    return null;
+  }
+
+  const url = new URL(anchor.href, window.location.href);
+  const samePage =
+    url.pathname === window.location.pathname &&
+    url.search === window.location.search;
+  if (url.origin !== window.location.origin || (samePage && url.hash)) {
+    return null;
+  }
+  return url.pathname + url.search + url.hash;
+};
+
+/**
+ * Path of a clicked link the router should handle, or null when the
+ * browser should follow it: see getInternalLinkPath, plus modified clicks
+ * @param {MouseEvent} event - Click event
+ * @returns {string|null} Path with query string and hash
+ */
+export const getInternalLinkTarget = (event) => {
+  if (
+    event.defaultPrevented ||
+    event.button !== 0 ||
+    event.metaKey ||
+    event.ctrlKey ||
+    event.shiftKey ||
+    event.altKey
+  ) {
+    return null;
+  }
+  return getInternalLinkPath(event.target);
+};
@@ -0,0 +1,82 @@
+import {
+  getCanonicalPath,
+  getInternalLinkPath,
+  getPathFromSlug,
+  getSlugFromPath,
+} from "./routing";
+
+describe("getSlugFromPath", () => {
+  test("maps paths to full slugs", () => {
+    expect(getSlugFromPath("/blog/post/")).toBe("blog/post");
+    expect(getSlugFromPath("//blog//post")).toBe("blog/post");
+    expect(getSlugFromPath("/caf%C3%A9")).toBe("café");
+  });
+
+  test("maps the root to the home story", () => {
+    expect(getSlugFromPath("/")).toBe("home");
+    expect(getSlugFromPath("/", "start")).toBe("start");
+  });
+});
+
+describe("getPathFromSlug", () => {
+  test("maps full slugs to paths", () => {
+    expect(getPathFromSlug("blog/post")).toBe("/blog/post");
+    expect(getPathFromSlug("blog/")).toBe("/blog");
+  });
+
+  test("maps the home story to the root", () => {
+    expect(getPathFromSlug("home")).toBe("/");
+    expect(getPathFromSlug("start", "start")).toBe("/");
+    expect(getPathFromSlug("")).toBe("/");
+  });
+});
+
+describe("getCanonicalPath", () => {
+  test("drops trailing and repeated slashes", () => {
+    expect(getCanonicalPath("/blog//post/")).toBe("/blog/post");
+  });
+
+  test("serves the home story at the root", () => {
+    expect(getCanonicalPath("/home")).toBe("/");
+    expect(getCanonicalPath("/")).toBe("/");
+  });
+});
+
+describe("getInternalLinkPath", () => {
+  const createLink = (href, attributes = {}) => {
+    const link = document.createElement("a");
+    link.setAttribute("href", href);
+    Object.entries(attributes).forEach(([name, value]) =>
+      link.setAttribute(name, value)
+    );
+    link.appendChild(document.createElement("span"));
+    return link;
+  };
+
+  test("returns the path of same-origin links", () => {
+    expect(getInternalLinkPath(createLink("/about?x=1#team"))).toBe(
+      "/about?x=1#team"
+    );
+    expect(getInternalLinkPath(createLink("/about").firstChild)).toBe("/about");
+  });
+
+  test("leaves other links to the browser", () => {
+    expect(getInternalLinkPath(createLink("https://example.org/"))).toBeNull();
+    expect(
+      getInternalLinkPath(createLink("/about", { target: "_blank" }))
+    ).toBeNull();
+    expect(
+      getInternalLinkPath(createLink("/file.pdf", { download: "" }))
+    ).toBeNull();
+    expect(
+      getInternalLinkPath(createLink("/about", { rel: "external" }))
+    ).toBeNull();
+    expect(getInternalLinkPath(document.createElement("span"))).toBeNull();
+  });
+
+  test("leaves anchors on the same page to the browser", () => {
+    expect(
+      getInternalLinkPath(createLink(`${window.location.pathname}#top`))
+    ).toBeNull();
+  });
+});
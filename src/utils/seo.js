@@ -0,0 +1,178 @@
+/**
+ * SEO Utility
+ * Builds the document head of a page (title, meta and Open Graph tags,
+ * canonical link and JSON-LD) from its story's SEO fields
+ */
+
+import config from "../config";
+import { getLinkHref } from "./links";
+import { stripSlugLocale, withLocale } from "./locales";
+import { getPathFromSlug } from "./routing";
+import { getImageUrl, isImageServiceUrl } from "./storyblokImage";
+
+// Facebook's recommended size, also used by other networks
+const OG_IMAGE_SIZE = { width: 1200, height: 630 };
+
+// "case-studies" -> "Case studies"
+const humanize = (segment) => {
+  const words = segment.replace(/[-_]+/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const getOgImageUrl = (image) => {
+  if (!image?.filename) {
+    return "";
+  }
+  return isImageServiceUrl(image.filename)
+    ? getImageUrl(image.filename, { ...OG_IMAGE_SIZE, format: "jpeg" })
+    : image.filename;
+};
+
+/**
+ * Origin for absolute URLs: the configured site URL, or the current origin
+ * @returns {string} e.g. "https://example.com"; "" outside the browser without a site URL
+ */
+export const getSiteOrigin = () =>
+  config.siteUrl ||
+  (typeof window === "undefined" ? "" : window.location.origin);
+
+/**
+ * Breadcrumb trail of a story from its full slug: the home page, one entry
+ * per folder and the story itself
+ * @param {Object} story - Story
+ * @param {Object} options - Options
+ * @param {string} options.homeSlug - Slug of the story at "/"
+ * @param {Array<string>} options.languages - Language codes with a path prefix
+ * @param {string} options.language - Current language, "" for the default language
+ * @returns {Array<{ name, path }>} Empty for the home story
+ */
+export const getBreadcrumbs = (
+  story,
+  { homeSlug = "home", languages = [], language = "" } = {}
+) => {
+  const pathname = getPathFromSlug(
+    stripSlugLocale(story?.full_slug, languages),
+    homeSlug
+  );
+  const segments = pathname.split("/").filter(Boolean);
+  if (segments.length === 0) {
+    return [];
+  }
+
+  return [
+    { name: "Home", path: withLocale("/", language) },
+    ...segments.map((segment, index) => ({
+      name: index === segments.length - 1 ? story.name : humanize(segment),
+      path: withLocale(`/${segments.slice(0, index + 1).join("/")}`, language),
+    })),
+  ];
+};
+
+/**
+ * Everything a page needs in the document head
+ * @param {Object|null} story - Page story; null when no story was found
+ * @param {Object} options - Options
+ * @param {string} options.origin - Site origin for absolute URLs, e.g. "https://example.com"
+ * @param {string} options.path - Canonical path of the page, including the language prefix
+ * @param {string} options.language - Current language, "" for the default language
+ * @param {string} options.defaultLanguage - Language of unprefixed paths
+ * @param {Array<string>} options.languages - Language codes with a path prefix
+ * @param {string} options.homeSlug - Slug of the story at "/"
+ * @param {string} options.siteName - Appended to titles not set by editors
+ * @param {boolean} options.notFound - The story is shown in place of a missing page
+ * @returns {Object} { title, meta: [{ name | property, content }], links: [{ rel, href }], jsonLd: [Object] }
+ */
+export const getPageHead = (
+  story,
+  {
+    origin = "",
+    path = "/",
+    language = "",
+    defaultLanguage = "en",
+    languages = [],
+    homeSlug = "home",
+    siteName = "",
+    notFound = false,
+  } = {}
+) => {
+  const content = story?.content || {};
+  const name = story?.name || "Page not found";
+  const title =
+    content.seo_title || (siteName ? `${name} | ${siteName}` : name);
+  const description = content.seo_description || "";
+  const image = getOgImageUrl(content.og_image);
+  const absolute = (href) => (origin ? new URL(href, origin).href : href);
+
+  const meta = [];
+  if (description) {
+    meta.push({ name: "description", content: description });
+  }
+  // Stand-in pages must not be indexed under the missing page's URL
+  if (notFound || !story || content.noindex) {
+    meta.push({ name: "robots", content: "noindex" });
+    return { title, meta, links: [], jsonLd: [] };
+  }
+
+  const canonical = absolute(
+    getLinkHref(content.canonical, { language }) || path
+  );
+  const isArticle = content.og_type === "article";
+  meta.push(
+    { property: "og:title", content: content.seo_title || name },
+    { property: "og:type", content: isArticle ? "article" : "website" },
+    { property: "og:url", content: canonical }
+  );
+  if (description) {
+    meta.push({ property: "og:description", content: description });
+  }
+  if (image) {
+    meta.push({ property: "og:image", content: image });
+    if (content.og_image.alt) {
+      meta.push({ property: "og:image:alt", content: content.og_image.alt });
+    }
+  }
+  if (siteName) {
+    meta.push({ property: "og:site_name", content: siteName });
+  }
+  meta.push({
+    name: "twitter:card",
+    content: image ? "summary_large_image" : "summary",
+  });
+
+  const jsonLd = [];
+  if (isArticle) {
+    jsonLd.push({
+      "@context": "https://schema.org",
+      "@type": "Article",
+      headline: content.seo_title || name,
+      ...(description && { description }),
+      ...(image && { image: [image] }),
+      ...(story.first_published_at && {
+        datePublished: story.first_published_at,
+      }),
+      ...(story.published_at && { dateModified: story.published_at }),
+      inLanguage: language || defaultLanguage,
+      mainEntityOfPage: canonical,
+    });
+  }
+  const breadcrumbs = getBreadcrumbs(story, { homeSlug, languages, language });
+  if (breadcrumbs.length > 0) {
+    jsonLd.push({
+      "@context": "https://schema.org",
+      "@type": "BreadcrumbList",
+      itemListElement: breadcrumbs.map((crumb, index) => ({
+        "@type": "ListItem",
+        position: index + 1,
+        name: crumb.name,
+        item: absolute(crumb.path),
+      })),
+    });
+  }
+
+  return {
+    title,
+    meta,
+    links: [{ rel: "canonical", href: canonical }],
+    jsonLd,
+  };
+};
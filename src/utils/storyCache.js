@@ -0,0 +1,226 @@
+/**
+ * Story Cache Utility
+ * Keeps loaded stories in memory and in IndexedDB, keyed by slug, language
+ * and version, so pages render at once and offline
+ *
+ * Entries remember the space cache version (`cv`) they were loaded with.
+ * Once a newer cv is known, older entries are stale: still shown, but
+ * loaded again in the background. Drafts are only kept in memory, so
+ * unpublished content doesn't stay on the device.
+ */
+
+const DB_NAME = "storyblok-content";
+const STORE = "stories";
+// Entries not used for this long are dropped when the database opens
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const CV_STORAGE_KEY = "storyblok-cv";
+
+const memory = new Map();
+const listeners = new Set();
+let latestCv = null;
+let database;
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// IndexedDB is missing outside the browser and can be blocked by the user;
+// the cache then only lives in memory
+const openDatabase = () => {
+  if (database === undefined) {
+    database =
+      typeof indexedDB === "undefined"
+        ? Promise.resolve(null)
+        : new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+              const store = request.result.createObjectStore(STORE, {
+                keyPath: "key",
+              });
+              store.createIndex("slug", "slug");
+              store.createIndex("usedAt", "usedAt");
+            };
+            request.onsuccess = () => {
+              const db = request.result;
+              const expired = IDBKeyRange.upperBound(Date.now() - MAX_AGE);
+              const cursor = db
+                .transaction(STORE, "readwrite")
+                .objectStore(STORE)
+                .index("usedAt")
+                .openCursor(expired);
+              cursor.onsuccess = () => {
+                if (cursor.result) {
+                  cursor.result.delete();
+                  cursor.result.continue();
+                }
+              };
+              resolve(db);
+            };
+            request.onerror = () => resolve(null);
+          });
+  }
+  return database;
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  if (!db) {
+    return undefined;
+  }
+  try {
+    return await requestToPromise(
+      action(db.transaction(STORE, mode).objectStore(STORE))
+    );
+  } catch (e) {
+    // A full or closing database only costs the persistent copy
+    return undefined;
+  }
+};
+
+/**
+ * Cache key of a story
+ * @param {string} slug - Full slug
+ * @param {Object} options - { version, language }
+ * @returns {string} e.g. "published:de:blog/post"
+ */
+export const getStoryKey = (
+  slug,
+  { version = "published", language = "" } = {}
+) => `${version}:${language || "default"}:${slug}`;
+
+/**
+ * Cached entry from memory only, for rendering without waiting
+ * @param {string} key - From getStoryKey
+ * @returns {Object|undefined} { key, slug, version, story, status, cv, usedAt }
+ */
+export const peekCachedStory = (key) => memory.get(key);
+
+/**
+ * Cached entry from memory or IndexedDB
+ * @param {string} key - From getStoryKey
+ * @returns {Promise<Object|undefined>} Entry
+ */
+export const readCachedStory = async (key) => {
+  if (memory.has(key)) {
+    return memory.get(key);
+  }
+  const entry = await withStore("readonly", (store) => store.get(key));
+  if (entry) {
+    memory.set(key, entry);
+  }
+  return entry;
+};
+
+/**
+ * Cache a loaded story
+ * @param {string} key - From getStoryKey
+ * @param {Object} entry - { slug, version, story, status, cv }
+ */
+export const writeCachedStory = (key, entry) => {
+  const record = { ...entry, key, usedAt: Date.now() };
+  memory.set(key, record);
+  // The entry itself is fresh, so others are only marked stale, not reloaded
+  rememberCacheVersion(record.cv);
+  if (record.version === "published") {
+    withStore("readwrite", (store) => store.put(record));
+  }
+};
+
+/**
+ * Whether an entry should be loaded again. Drafts always are, as they
+ * change without a new cache version.
+ * @param {Object} entry - Cached entry
+ * @returns {boolean}
+ */
+export const isStale = (entry) =>
+  entry.version !== "published" ||
+  !entry.cv ||
+  entry.cv < (getLatestCacheVersion() || 0);
+
+/**
+ * Newest cache version seen, from API responses or the space
+ * @returns {number|null}
+ */
+export const getLatestCacheVersion = () => {
+  if (latestCv === null) {
+    try {
+      latestCv = Number(window.localStorage.getItem(CV_STORAGE_KEY)) || null;
+    } catch (e) {
+      // Storage disabled: start unknown
+    }
+  }
+  return latestCv;
+};
+
+const rememberCacheVersion = (cv) => {
+  if (!cv || cv <= (getLatestCacheVersion() || 0)) {
+    return false;
+  }
+  latestCv = cv;
+  try {
+    window.localStorage.setItem(CV_STORAGE_KEY, String(cv));
+  } catch (e) {
+    // Only remembered for this page load
+  }
+  return true;
+};
+
+/**
+ * Record a newer cache version; entries loaded before it become stale
+ * @param {number} cv - Space cache version
+ */
+export const setLatestCacheVersion = (cv) => {
+  if (rememberCacheVersion(cv)) {
+    notify();
+  }
+};
+
+/**
+ * Drop the entries of some stories in every language and version
+ * @param {Array<string>} slugs - Full slugs
+ * @returns {Promise<void>}
+ */
+export const invalidateStories = async (slugs) => {
+  // Folder start pages ("blog/") are cached under the folder path's slug
+  const targets = new Set(slugs.map((slug) => slug.replace(/\/+$/, "")));
+  [...memory.values()]
+    .filter((entry) => targets.has(entry.slug))
+    .forEach((entry) => memory.delete(entry.key));
+  await Promise.all(
+    [...targets].map(async (slug) => {
+      const keys = await withStore("readonly", (store) =>
+        store.index("slug").getAllKeys(slug)
+      );
+      await Promise.all(
+        (keys || []).map((key) =>
+          withStore("readwrite", (store) => store.delete(key))
+        )
+      );
+    })
+  );
+  notify();
+};
+
+/**
+ * Drop every entry
+ * @returns {Promise<void>}
+ */
+export const clearStoryCache = async () => {
+  memory.clear();
+  await withStore("readwrite", (store) => store.clear());
+  notify();
+};
+
+/**
+ * Call a function whenever cached entries are invalidated or become stale
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToStoryCache = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
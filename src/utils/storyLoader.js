@@ -0,0 +1,176 @@
+/**
+ * Story Loader Utility
+ * Loads page stories from the Content Delivery API into the story cache,
+ * prefetches them and checks the space for newer content
+ */
+
+import { getStoryblokApi } from "@storyblok/react";
+import config from "../config";
+import {
+  clearStoryCache,
+  getLatestCacheVersion,
+  getStoryKey,
+  invalidateStories,
+  isStale,
+  readCachedStory,
+  setLatestCacheVersion,
+  writeCachedStory,
+} from "./storyCache";
+import { getResolveParams } from "./storyRelations";
+
+// storyblok-js-client never settles a request that fails, so give up after this
+const REQUEST_TIMEOUT = 15000;
+const INVALIDATIONS_STORAGE_KEY = "storyblok-invalidations";
+
+// Page loads in progress by cache key, shared by prefetches and navigation
+const inflight = new Map();
+
+const withTimeout = (promise, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), REQUEST_TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Fetch a story by full slug. The list endpoint answers a missing slug with
+ * an empty list instead of a 404, and also matches a folder's start page
+ * ("blog" -> "blog/").
+ * @param {string} slug - Full slug
+ * @param {Object} params - Content Delivery API parameters
+ * @returns {Promise<Object>} { story, cv }; story is null if there is none
+ */
+const fetchStory = async (slug, params) => {
+  // "*" and "," have a meaning in by_slugs, so such slugs can't be stories
+  if (/[*,]/.test(slug)) {
+    return { story: null, cv: null };
+  }
+
+  const { data } = await withTimeout(
+    getStoryblokApi().get("cdn/stories", {
+      ...params,
+      by_slugs: `${slug},${slug}/`,
+    }),
+    `Loading "${slug}" timed out`
+  );
+  const stories = data.stories || [];
+  return {
+    story:
+      stories.find((story) => story.full_slug === slug) || stories[0] || null,
+    cv: data.cv || null,
+  };
+};
+
+/**
+ * Load the story for a page and cache it. A missing story is replaced by
+ * the `notFoundSlug` story, with status "not_found".
+ * @param {string} slug - Full slug of the story
+ * @param {Object} options - Loading options
+ * @param {string} options.version - "draft" or "published"
+ * @param {string} options.language - Language code, or "" for the default language
+ * @param {string} options.fallbackLanguage - Language for untranslated fields
+ * @param {string} options.notFoundSlug - Story to show when `slug` doesn't exist
+ * @returns {Promise<Object>} Cache entry { slug, version, story, status, cv }
+ */
+export const loadStory = (
+  slug,
+  { version = "draft", language = "", fallbackLanguage = "", notFoundSlug } = {}
+) => {
+  const key = getStoryKey(slug, { version, language });
+  if (!inflight.has(key)) {
+    // Relations and links come back as stories, see storyRelations
+    const params = { version, ...getResolveParams() };
+    if (language) {
+      params.language = language;
+    }
+    if (fallbackLanguage) {
+      params.fallback_lang = fallbackLanguage;
+    }
+
+    const request = (async () => {
+      const { story, cv } = await fetchStory(slug, params);
+      const entry = story
+        ? { slug, version, story, status: "ready", cv }
+        : {
+            slug,
+            version,
+            story:
+              notFoundSlug && notFoundSlug !== slug
+                ? (await fetchStory(notFoundSlug, params)).story
+                : null,
+            status: "not_found",
+            cv,
+          };
+      writeCachedStory(key, entry);
+      return entry;
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, request);
+  }
+  return inflight.get(key);
+};
+
+/**
+ * Load a story ahead of navigation, unless a fresh copy is cached
+ * @param {string} slug - Full slug of the story
+ * @param {Object} options - Same as loadStory
+ * @returns {Promise<void>}
+ */
+export const prefetchStory = async (slug, options = {}) => {
+  const cached = await readCachedStory(getStoryKey(slug, options));
+  if (!cached || isStale(cached)) {
+    await loadStory(slug, options);
+  }
+};
+
+// Stories invalidated by the webhook server since the last check
+const fetchInvalidations = async (serverUrl) => {
+  let since = null;
+  try {
+    since = window.localStorage.getItem(INVALIDATIONS_STORAGE_KEY);
+  } catch (e) {
+    // Storage disabled: every check starts over
+  }
+
+  const response = await withTimeout(
+    fetch(`${serverUrl}/invalidations?since=${since || 0}`),
+    "Checking for invalidated stories timed out"
+  );
+  const { id, slugs, full } = await response.json();
+  // Without an earlier id there's nothing to compare; the cv check covers it
+  if (since) {
+    if (full) {
+      await clearStoryCache();
+    } else if (slugs.length > 0) {
+      await invalidateStories(slugs);
+    }
+  }
+  try {
+    window.localStorage.setItem(INVALIDATIONS_STORAGE_KEY, String(id));
+  } catch (e) {
+    // Checked again from scratch next time
+  }
+};
+
+/**
+ * Check whether published content changed since it was cached. A newer
+ * space cache version marks cached stories stale and makes the SDK ask the
+ * CDN for fresh content; with REACT_APP_WEBHOOK_SERVER_URL set, stories
+ * the webhook server invalidated are dropped from the cache.
+ * @returns {Promise<void>}
+ */
+export const checkForUpdates = async () => {
+  const { data } = await withTimeout(
+    getStoryblokApi().get("cdn/spaces/me"),
+    "Checking for updates timed out"
+  );
+  const cv = data.space?.version;
+  if (cv && cv > (getLatestCacheVersion() || 0)) {
+    getStoryblokApi().setCacheVersion(cv);
+    setLatestCacheVersion(cv);
+  }
+
+  if (config.webhookServerUrl) {
+    await fetchInvalidations(config.webhookServerUrl);
+  }
+};
@@ -0,0 +1,110 @@
+/**
+ * Story Relations Utility
+ * Works out which fields reference other stories, so the Content Delivery
+ * API resolves them into stories instead of bare UUIDs
+ *
+ * A field is a relation when its schema in src/schemas/components.js is a
+ * single- or multi-option field with `source: "internal_stories"`. Story
+ * links in multilink fields are resolved too (`resolve_links=url`), which
+ * adds the linked story's current `full_slug`.
+ */
+
+import components from "../schemas/components";
+
+// Enough for hrefs: name, slug, full_slug and url of linked stories
+export const RESOLVE_LINKS = "url";
+
+/**
+ * Whether a schema field references stories
+ * @param {Object} field - Field definition
+ * @returns {boolean}
+ */
+export const isRelationField = (field) =>
+  (field.type === "option" || field.type === "options") &&
+  field.source === "internal_stories";
+
+/**
+ * Relation fields of a set of components, as the API expects them
+ * @param {Array} definitions - Component schemas
+ * @returns {Array<string>} e.g. ["page.related"]
+ */
+export const getRelationFields = (definitions = components) =>
+  definitions.flatMap(({ name, schema = {} }) =>
+    Object.entries(schema)
+      .filter(([, field]) => isRelationField(field))
+      .map(([key]) => `${name}.${key}`)
+  );
+
+/**
+ * Content Delivery API parameters that resolve relations and links
+ * @param {Array} definitions - Component schemas
+ * @returns {Object} { resolve_relations, resolve_links }
+ */
+export const getResolveParams = (definitions = components) => {
+  const relations = getRelationFields(definitions);
+  return relations.length > 0
+    ? { resolve_relations: relations.join(","), resolve_links: RESOLVE_LINKS }
+    : { resolve_links: RESOLVE_LINKS };
+};
+
+/**
+ * Storyblok Bridge options that resolve the same relations and links in
+ * Visual Editor updates
+ * @param {Array} definitions - Component schemas
+ * @returns {Object} { resolveRelations, resolveLinks }
+ */
+export const getBridgeOptions = (definitions = components) => ({
+  resolveRelations: getRelationFields(definitions),
+  resolveLinks: RESOLVE_LINKS,
+});
+
+/**
+ * Put resolved relations and links into a story's content, as
+ * storyblok-js-client does for the SDK. Unresolved UUIDs (unpublished or
+ * deleted stories) are dropped from relation fields.
+ * @param {Object} story - Story from the API
+ * @param {Object} resolved - Resolved data
+ * @param {Array<string>} resolved.relations - Relation fields, from getRelationFields
+ * @param {Array} resolved.rels - Related stories from the response
+ * @param {Array} resolved.links - Linked stories from the response
+ * @returns {Object} Story with the references filled in
+ */
+export const insertReferences = (
+  story,
+  { relations = [], rels = [], links = [] } = {}
+) => {
+  const relsByUuid = new Map(rels.map((rel) => [rel.uuid, rel]));
+  const linksByUuid = new Map(links.map((link) => [link.uuid, link]));
+  const relationSet = new Set(relations);
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(visit);
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, field]) => {
+      if (value.component && relationSet.has(`${value.component}.${key}`)) {
+        result[key] = Array.isArray(field)
+          ? field.map((uuid) => relsByUuid.get(uuid)).filter(Boolean)
+          : relsByUuid.get(field) || field;
+      } else if (
+        field?.linktype === "story" &&
+        linksByUuid.has(field.id || field.uuid)
+      ) {
+        result[key] = {
+          ...field,
+          story: linksByUuid.get(field.id || field.uuid),
+        };
+      } else {
+        result[key] = visit(field);
+      }
+    });
+    return result;
+  };
+
+  return story ? { ...story, content: visit(story.content) } : story;
+};
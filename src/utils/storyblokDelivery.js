@@ -0,0 +1,219 @@
+/**
+ * Storyblok Content Delivery API Utility
+ * Reads stories and links outside the React SDK, e.g. when prerendering,
+ * with the same queueing, retries and typed errors as the Management API
+ * client
+ */
+
+import { createRequestQueue, fetchWithRetry } from "./requestQueue";
+import {
+  createApiError,
+  getErrorDetail,
+  StoryblokNetworkError,
+  StoryblokNotFoundError,
+} from "./storyblokErrors";
+import { buildQuery } from "./storyblokManagement";
+import { insertReferences } from "./storyRelations";
+
+const DELIVERY_API_URLS = {
+  eu: "https://api.storyblok.com/v2",
+  us: "https://api-us.storyblok.com/v2",
+  ca: "https://api-ca.storyblok.com/v2",
+  ap: "https://api-ap.storyblok.com/v2",
+  cn: "https://app.storyblokchina.cn/v2",
+};
+
+// Largest page of links the API serves
+const LINKS_PER_PAGE = 1000;
+// Stories per by_uuids request when relations are only listed by UUID
+const UUIDS_PER_REQUEST = 50;
+
+/**
+ * Resolve the Content Delivery API base URL for a space region
+ * @param {string} region - Space region ("eu", "us", "ca", "ap" or "cn"; "" for eu)
+ * @returns {string} Base URL without trailing slash
+ */
+export const getDeliveryApiUrl = (region = "eu") => {
+  const url = DELIVERY_API_URLS[region || "eu"];
+  if (!url) {
+    throw new Error(`Unknown Storyblok region: ${region}`);
+  }
+  return url;
+};
+
+/**
+ * Create a Content Delivery API client
+ * @param {Object} options - Client configuration
+ * @param {string} options.token - Preview or public access token
+ * @param {string} [options.region] - Space region, used when no baseUrl is given
+ * @param {string} [options.baseUrl] - Explicit API URL (e.g. a local mock server)
+ * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+ * @param {Object} [options.queue] - Request queue to share with other clients
+ * @param {number} [options.concurrency] - Max requests in flight (ignored with options.queue)
+ * @param {number} [options.requestsPerSecond] - Max requests started per second (ignored with options.queue)
+ * @param {Object} [options.retry] - Retry settings: { retries, minDelay, maxDelay }
+ * @returns {Object} Client with get, getCacheVersion, getStory and getLinks
+ */
+export const createDeliveryClient = (options = {}) => {
+  const { token } = options;
+  const baseUrl = (
+    options.baseUrl || getDeliveryApiUrl(options.region)
+  ).replace(/\/+$/, "");
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const queue =
+    options.queue ||
+    createRequestQueue({
+      concurrency: options.concurrency ?? 5,
+      requestsPerSecond: options.requestsPerSecond ?? 20,
+    });
+
+  const client = {
+    // Cache version sent with every request once known, see getCacheVersion
+    cv: undefined,
+  };
+
+  /**
+   * GET a Content Delivery API endpoint
+   * @param {string} path - Path below /cdn, e.g. "stories/home"
+   * @param {Object} params - Query params
+   * @param {Object} requestOptions - { signal }
+   * @returns {Promise<Object>} Parsed response body
+   */
+  client.get = async (path, params = {}, { signal } = {}) => {
+    const query = buildQuery({ cv: client.cv, ...params, token }).toString();
+    const url = `${baseUrl}/cdn/${path}?${query}`;
+
+    let response;
+    try {
+      response = await fetchWithRetry(
+        fetchImpl,
+        url,
+        { method: "GET", signal },
+        { ...options.retry, queue }
+      );
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw error;
+      }
+      throw new StoryblokNetworkError(
+        `Failed to load cdn/${path}: ${error.message}`,
+        { method: "GET", path, cause: error }
+      );
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const detail = getErrorDetail(body);
+      throw createApiError(
+        `Failed to load cdn/${path}: ${response.status} ${response.statusText}` +
+          (detail ? `. ${detail}` : ""),
+        {
+          status: response.status,
+          statusText: response.statusText,
+          body,
+          method: "GET",
+          path,
+        }
+      );
+    }
+    return body;
+  };
+
+  /**
+   * Fetch the space's current cache version and use it for later requests,
+   * so they see content published since the CDN last cached a response
+   * @param {Object} requestOptions - { signal }
+   * @returns {Promise<number>} Cache version
+   */
+  client.getCacheVersion = async (requestOptions) => {
+    const { space } = await client.get("spaces/me", {}, requestOptions);
+    client.cv = space.version;
+    return client.cv;
+  };
+
+  // The API lists many related stories by UUID only; load them in batches
+  const getStoriesByUuids = async (uuids, params, requestOptions) => {
+    const batches = [];
+    for (let i = 0; i < uuids.length; i += UUIDS_PER_REQUEST) {
+      batches.push(uuids.slice(i, i + UUIDS_PER_REQUEST));
+    }
+    const responses = await Promise.all(
+      batches.map((batch) =>
+        client.get(
+          "stories",
+          {
+            version: params.version,
+            language: params.language,
+            by_uuids: batch.join(","),
+            per_page: UUIDS_PER_REQUEST,
+          },
+          requestOptions
+        )
+      )
+    );
+    return responses.flatMap(({ stories }) => stories);
+  };
+
+  /**
+   * Get a story by full slug. With resolve_relations or resolve_links, the
+   * related and linked stories are put into the content.
+   * @param {string} slug - Full slug
+   * @param {Object} params - version, language, fallback_lang, resolve_relations, ...
+   * @param {Object} requestOptions - { signal }
+   * @returns {Promise<Object|null>} Story, or null if there is none
+   */
+  client.getStory = async (slug, params = {}, requestOptions) => {
+    try {
+      const body = await client.get(
+        `stories/${slug.split("/").map(encodeURIComponent).join("/")}`,
+        params,
+        requestOptions
+      );
+      if (!params.resolve_relations && !params.resolve_links) {
+        return body.story;
+      }
+      const [rels, links] = await Promise.all([
+        body.rel_uuids
+          ? getStoriesByUuids(body.rel_uuids, params, requestOptions)
+          : body.rels,
+        body.link_uuids
+          ? getStoriesByUuids(body.link_uuids, params, requestOptions)
+          : body.links,
+      ]);
+      return insertReferences(body.story, {
+        relations: (params.resolve_relations || "").split(",").filter(Boolean),
+        rels,
+        links,
+      });
+    } catch (error) {
+      if (error instanceof StoryblokNotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Get every link (story and folder) in the space
+   * @param {Object} params - version, starts_with, ...
+   * @param {Object} requestOptions - { signal }
+   * @returns {Promise<Array>} Links, each with slug, is_folder, is_startpage, published, ...
+   */
+  client.getLinks = async (params = {}, requestOptions) => {
+    const links = [];
+    for (let page = 1; ; page += 1) {
+      const body = await client.get(
+        "links",
+        { ...params, page, per_page: LINKS_PER_PAGE },
+        requestOptions
+      );
+      const items = Object.values(body.links || {});
+      links.push(...items);
+      if (items.length < LINKS_PER_PAGE) {
+        return links;
+      }
+    }
+  };
+
+  return client;
+};
@@ -0,0 +1,174 @@
+/**
+ * Storyblok Management API Errors
+ * Typed errors carrying the HTTP status, parsed body and request context
+ */
+
+/**
+ * Base class for every error thrown by the Management API client
+ */
+export class StoryblokApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Request and response context
+   * @param {number} details.status - HTTP status (undefined for network errors)
+   * @param {string} details.statusText - HTTP status text
+   * @param {*} details.body - Parsed response JSON, or raw text if not JSON
+   * @param {string} details.method - HTTP method
+   * @param {string} details.path - Request path relative to the space
+   * @param {Error} details.cause - Underlying error, if any
+   */
+  constructor(message, { status, statusText, body, method, path, cause } = {}) {
+    super(message);
+    this.name = "StoryblokApiError";
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+    this.cause = cause;
+  }
+}
+
+/**
+ * 401/403: missing, invalid or under-privileged token
+ */
+export class StoryblokAuthError extends StoryblokApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "StoryblokAuthError";
+  }
+}
+
+/**
+ * 404: the space, story, component or asset does not exist
+ */
+export class StoryblokNotFoundError extends StoryblokApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "StoryblokNotFoundError";
+  }
+}
+
+/**
+ * 422: the payload was rejected. `fieldErrors` maps field names to messages,
+ * e.g. { name: ["has already been taken"] }
+ */
+export class StoryblokValidationError extends StoryblokApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "StoryblokValidationError";
+    this.fieldErrors = getFieldErrors(details.body);
+  }
+}
+
+/**
+ * 429: still throttled after all retries. `retryAfter` is in milliseconds.
+ */
+export class StoryblokRateLimitError extends StoryblokApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "StoryblokRateLimitError";
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, ...)
+ */
+export class StoryblokNetworkError extends StoryblokApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "StoryblokNetworkError";
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Extract per-field messages from a 422 body
+ * @param {*} body - Parsed response body
+ * @returns {Object<string, string[]>} Field errors
+ */
+const getFieldErrors = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return {};
+  }
+
+  const source =
+    body.errors && typeof body.errors === "object" ? body.errors : body;
+
+  return Object.entries(source).reduce((fieldErrors, [field, messages]) => {
+    if (Array.isArray(messages)) {
+      fieldErrors[field] = messages.map(String);
+    } else if (typeof messages === "string" && field !== "error") {
+      fieldErrors[field] = [messages];
+    }
+    return fieldErrors;
+  }, {});
+};
+
+/**
+ * Pull a short human readable detail out of an error body
+ * @param {*} body - Parsed response body
+ * @returns {string} Detail, or an empty string
+ */
+export const getErrorDetail = (body) => {
+  if (!body) return "";
+  if (typeof body === "string") return body.trim();
+  if (Array.isArray(body)) return body.join(", ");
+  if (typeof body.error === "string") return body.error;
+  if (typeof body.message === "string") return body.message;
+
+  return Object.entries(getFieldErrors(body))
+    .map(([field, messages]) => `${field} ${messages.join(", ")}`)
+    .join("; ");
+};
+
+/**
+ * Build the matching StoryblokApiError subclass for a failed response
+ * @param {string} message - Human readable message
+ * @param {Object} details - Same as the StoryblokApiError constructor
+ * @returns {StoryblokApiError} Typed error
+ */
+export const createApiError = (message, details = {}) => {
+  switch (details.status) {
+    case 401:
+    case 403:
+      return new StoryblokAuthError(message, details);
+    case 404:
+      return new StoryblokNotFoundError(message, details);
+    case 422:
+      return new StoryblokValidationError(message, details);
+    case 429:
+      return new StoryblokRateLimitError(message, details);
+    default:
+      return new StoryblokApiError(message, details);
+  }
+};
+
+/**
+ * Describe any error from the client in terms an editor can act on
+ * @param {Error} error - Error thrown by a Management API call
+ * @returns {string} Message suitable for the UI or a script's output
+ */
+export const getErrorMessage = (error) => {
+  if (error instanceof StoryblokAuthError) {
+    return "Storyblok rejected the management token or it lacks permission for this action.";
+  }
+  if (error instanceof StoryblokNotFoundError) {
+    return `Not found in Storyblok (${error.method} ${error.path}).`;
+  }
+  if (error instanceof StoryblokValidationError) {
+    const fields = Object.entries(error.fieldErrors)
+      .map(([field, messages]) => `${field} ${messages.join(", ")}`)
+      .join("; ");
+    return `Storyblok rejected the data: ${fields || getErrorDetail(error.body) || error.statusText}`;
+  }
+  if (error instanceof StoryblokRateLimitError) {
+    return "Storyblok is rate limiting requests. Please try again in a moment.";
+  }
+  if (error instanceof StoryblokNetworkError) {
+    return "Could not reach Storyblok. Check your connection and try again.";
+  }
+  return error?.message || "Unknown error occurred";
+};
@@ -0,0 +1,118 @@
+/**
+ * Storyblok Image Service Utility
+ * Builds resized, re-encoded image URLs for Storyblok assets
+ * (https://www.storyblok.com/docs/image-service)
+ */
+
+import { getImageDimensions, parseFocus } from "./assetLibrary";
+
+export const DEFAULT_WIDTHS = [320, 640, 960, 1280, 1920, 2560];
+
+// The image service can't transform vector images
+const SERVICE_URL_PATTERN =
+  /^(https?:)?\/\/a(-[a-z]+)?\.storyblok(china)?\.(com|cn)\/f\/.+\.(jpe?g|png|gif|webp|avif)$/i;
+
+/**
+ * Whether the image service can transform a URL
+ * @param {string} url - Asset URL
+ * @returns {boolean}
+ */
+export const isImageServiceUrl = (url = "") => SERVICE_URL_PATTERN.test(url);
+
+/**
+ * Build an image service URL
+ * @param {string} url - Asset URL
+ * @param {Object} options - Transformations
+ * @param {number} options.width - Width in pixels (0 keeps the aspect ratio)
+ * @param {number} options.height - Height in pixels (0 keeps the aspect ratio)
+ * @param {string} options.format - "webp", "avif", "jpeg", "png", or "" to keep the original
+ * @param {number} options.quality - 0-100, or undefined for the service default
+ * @param {string} options.focus - Asset focus ("<x>x<y>:<x2>x<y2>"), used when cropping to both dimensions
+ * @returns {string} Transformed URL, or `url` unchanged if it can't be transformed
+ */
+export const getImageUrl = (
+  url,
+  { width = 0, height = 0, format = "webp", quality, focus } = {}
+) => {
+  if (!isImageServiceUrl(url)) {
+    return url;
+  }
+
+  const filters = [];
+  if (format) {
+    filters.push(`format(${format})`);
+  }
+  if (quality) {
+    filters.push(`quality(${quality})`);
+  }
+  if (width && height && parseFocus(focus)) {
+    filters.push(`focal(${focus})`);
+  }
+
+  const parts = [];
+  if (width || height) {
+    parts.push(`${Math.round(width)}x${Math.round(height)}`);
+  }
+  if (filters.length > 0) {
+    parts.push(`filters:${filters.join(":")}`);
+  }
+  return parts.length > 0 ? `${url}/m/${parts.join("/")}` : url;
+};
+
+/**
+ * Build a `srcset` of image service URLs. Widths larger than the original
+ * image are left out so it is never upscaled.
+ * @param {string} url - Asset URL
+ * @param {Object} options - Same as getImageUrl, plus:
+ * @param {Array<number>} options.widths - Candidate widths
+ * @param {number} options.aspectRatio - Width / height to crop to, or 0 to keep the original
+ * @returns {string} srcset value, or "" if the URL can't be transformed
+ */
+export const getImageSrcSet = (
+  url,
+  { widths = DEFAULT_WIDTHS, aspectRatio = 0, ...options } = {}
+) => {
+  if (!isImageServiceUrl(url)) {
+    return "";
+  }
+
+  const original = getImageDimensions(url);
+  const fitting = original
+    ? widths.filter((width) => width <= original.width)
+    : widths;
+  // Always offer at least the original size
+  const candidates =
+    original &&
+    fitting.length < widths.length &&
+    !fitting.includes(original.width)
+      ? [...fitting, original.width]
+      : fitting;
+
+  return candidates
+    .map((width) => {
+      const height = aspectRatio ? width / aspectRatio : 0;
+      return `${getImageUrl(url, { ...options, width, height })} ${width}w`;
+    })
+    .join(", ");
+};
+
+/**
+ * CSS `object-position` that keeps an asset's focal point in view when the
+ * browser crops the image, e.g. with `object-fit: cover`
+ * @param {Object} asset - Asset with `filename` and `focus`
+ * @returns {string|undefined} e.g. "30% 60%", or undefined without a focus
+ */
+export const getFocusPosition = ({ filename, focus } = {}) => {
+  const point = parseFocus(focus);
+  const original = getImageDimensions(filename);
+  if (!point || !original) {
+    return undefined;
+  }
+
+  const percent = (value, total) =>
+    `${Math.round(Math.min(100, (value / total) * 100))}%`;
+  return `${percent(point.x, original.width)} ${percent(
+    point.y,
+    original.height
+  )}`;
+};
@@ -3,301 +3,1170 @@
  * Handles component creation, story creation, and asset uploads
  */
 
-const STORYBLOK_SPACE_ID = process.env.REACT_APP_STORYBLOK_SPACE_ID;
-const STORYBLOK_MANAGEMENT_TOKEN =
-  process.env.REACT_APP_STORYBLOK_MANAGEMENT_TOKEN;
-const STORYBLOK_API_URL = "https://mapi.storyblok.com/v1";
+import {
+  createRequestQueue,
+  fetchWithRetry,
+  parseRetryAfter,
+} from "./requestQueue";
+import {
+  createApiError,
+  getErrorDetail,
+  StoryblokNetworkError,
+} from "./storyblokErrors";
+import { fetchWithProgress } from "./fetchWithProgress";
+import { syncComponentDefinitions } from "./componentSync";
+import { scanAssetUsage, scanUnusedAssets } from "./assetUsage";
+import { runContentMigrations as runMigrations } from "./contentMigration";
+import { withTranslations } from "./translatedFields";
 
-// ==================== COMPONENTS ====================
+export * from "./storyblokErrors";
+export * from "./translatedFields";
+
+const MANAGEMENT_API_URLS = {
+  eu: "https://mapi.storyblok.com/v1",
+  us: "https://api-us.storyblok.com/v1",
+  ca: "https://api-ca.storyblok.com/v1",
+  ap: "https://api-ap.storyblok.com/v1",
+  cn: "https://app.storyblokchina.cn/v1",
+};
 
 /**
- * Create a new content type component in Storyblok
- * @param {Object} componentData - Component configuration
- * @returns {Promise<Object>} Created component
+ * Resolve the Management API base URL for a space region
+ * @param {string} region - Space region ("eu", "us", "ca", "ap" or "cn")
+ * @returns {string} Base URL without trailing slash
  */
-export const createComponent = async (componentData) => {
-  const {
-    name,
-    display_name = name,
-    schema = {},
-    preview_tmpl = null,
-    is_root = false,
-  } = componentData;
-
-  const payload = {
-    component: {
-      name,
-      display_name,
-      schema,
-      preview_tmpl,
-      is_root,
-    },
-  };
+export const getManagementApiUrl = (region = "eu") => {
+  const url = MANAGEMENT_API_URLS[region || "eu"];
+  if (!url) {
+    throw new Error(`Unknown Storyblok region: ${region}`);
+  }
+  return url;
+};
+
+/**
+ * Logger that drops everything; used when no logger is configured
+ */
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
 
+/**
+ * Read a response body as JSON, falling back to text
+ * @param {Response} response - fetch response
+ * @returns {Promise<*>} Parsed body, text, or null when empty
+ */
+const readBody = async (response) => {
+  const text = await response.text().catch(() => "");
+  if (!text) return null;
   try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/components`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
-        body: JSON.stringify(payload),
-      }
-    );
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+};
 
-    if (!response.ok) {
-      throw new Error(`Failed to create component: ${response.statusText}`);
-    }
+/**
+ * Serialize query params, nesting objects with brackets the way the API
+ * expects, e.g. { filter_query: { component: { in: "page" } } } becomes
+ * filter_query[component][in]=page. Arrays are joined with commas.
+ * @param {Object} params - Query params
+ * @param {URLSearchParams} search - Params to append to (used when recursing)
+ * @param {string} prefix - Key prefix (used when recursing)
+ * @returns {URLSearchParams} Serialized params
+ */
+export const buildQuery = (
+  params = {},
+  search = new URLSearchParams(),
+  prefix = ""
+) => {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
 
-    return await response.json();
-  } catch (error) {
-    console.error("Error creating component:", error);
-    throw error;
-  }
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object" && !Array.isArray(value)) {
+      buildQuery(value, search, name);
+    } else {
+      search.append(name, Array.isArray(value) ? value.join(",") : value);
+    }
+  });
+  return search;
 };
 
+// Largest page the Management API serves
+const MAX_PER_PAGE = 100;
+
 /**
- * Get list of all components in the space
- * @returns {Promise<Array>} List of components
+ * Read an image's dimensions as the "WIDTHxHEIGHT" string the asset API
+ * stores in `size`
+ * @param {File} file - Image file
+ * @returns {Promise<string|null>} Dimensions, or null if they can't be read
  */
-export const getComponents = async () => {
-  try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/components`,
-      {
-        headers: {
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
+const getImageSize = (file) =>
+  new Promise((resolve) => {
+    if (!file.type?.startsWith("image/") || typeof Image === "undefined") {
+      resolve(null);
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(
+        image.naturalWidth && image.naturalHeight
+          ? `${image.naturalWidth}x${image.naturalHeight}`
+          : null
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    image.src = url;
+  });
+
+// ==================== CLIENT ====================
+
+/**
+ * Create a Management API client bound to a single space
+ * @param {Object} options - Client configuration
+ * @param {string|number} options.spaceId - Space ID
+ * @param {string} options.token - Personal access or OAuth token
+ * @param {string} [options.region] - Space region, used when no baseUrl is given
+ * @param {string} [options.baseUrl] - Explicit API URL (e.g. a local mock server)
+ * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+ * @param {Object} [options.queue] - Request queue to share with other clients
+ * @param {number} [options.concurrency] - Max requests in flight (ignored with options.queue)
+ * @param {number} [options.requestsPerSecond] - Max requests started per second (ignored with options.queue)
+ * @param {Object} [options.retry] - Retry settings: { retries, minDelay, maxDelay }
+ * @param {Object} [options.logger] - console-like { debug, info, warn, error }; silent by default
+ * @returns {Object} Client exposing the Management API helpers as methods
+ */
+export const createManagementClient = (options = {}) => {
+  const { spaceId, token, region } = options;
+  const baseUrl = (options.baseUrl || getManagementApiUrl(region)).replace(
+    /\/+$/,
+    ""
+  );
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const queue =
+    options.queue ||
+    createRequestQueue({
+      concurrency: options.concurrency,
+      requestsPerSecond: options.requestsPerSecond,
+    });
+
+  const logger = options.logger || silentLogger;
+
+  // Send a request with retries, logging failures and rethrowing them as a
+  // StoryblokApiError subclass. `path` is only used for error context.
+  const execute = async (
+    url,
+    init,
+    { path, action, onUploadProgress, useQueue = true }
+  ) => {
+    const { method } = init;
+
+    let response;
+    try {
+      // Upload progress needs XHR; everything else uses fetch
+      const send = onUploadProgress
+        ? (target, sendInit) =>
+            fetchWithProgress(target, { ...sendInit, onUploadProgress })
+        : fetchImpl;
+      response = await fetchWithRetry(send, url, init, {
+        ...options.retry,
+        queue: useQueue ? queue : null,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw error;
       }
-    );
+      const networkError = new StoryblokNetworkError(
+        `Failed to ${action}: ${error.message}`,
+        { method, path, cause: error }
+      );
+      logger.error(networkError.message, networkError);
+      throw networkError;
+    }
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch components: ${response.statusText}`);
+      const responseBody = await readBody(response);
+      const detail = getErrorDetail(responseBody);
+      const apiError = createApiError(
+        `Failed to ${action}: ${response.status} ${response.statusText}` +
+          (detail ? `. ${detail}` : ""),
+        {
+          status: response.status,
+          statusText: response.statusText,
+          body: responseBody,
+          method,
+          path,
+          retryAfter: parseRetryAfter(response.headers.get("Retry-After")),
+        }
+      );
+      logger.error(apiError.message, apiError);
+      throw apiError;
     }
 
+    logger.debug?.(`${method} ${path} ${response.status}`);
+    return response;
+  };
+
+  // Send a request to a space-scoped endpoint, e.g. path "/assets".
+  // Every call goes through the shared queue and is retried on 429, and on
+  // 5xx and network errors unless it is a POST (see fetchWithRetry).
+  const request = (
+    method,
+    path,
+    { json, body, query, signal, onUploadProgress, action } = {}
+  ) => {
+    const headers = { Authorization: token };
+    if (json !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    const search = buildQuery(query).toString();
+
+    return execute(
+      `${baseUrl}/spaces/${spaceId}${path}${search ? `?${search}` : ""}`,
+      {
+        method,
+        headers,
+        body: json !== undefined ? JSON.stringify(json) : body,
+        signal,
+      },
+      { path, action, onUploadProgress }
+    );
+  };
+
+  // ==================== PAGINATION ====================
+
+  // Fetch a single page of a list endpoint. `key` is the property of the
+  // response holding the items (e.g. "assets"); `total` comes from the
+  // Total header and is null when the endpoint does not send one.
+  const fetchPage = async (path, key, params, action) => {
+    const { page = 1, per_page = MAX_PER_PAGE, signal, ...filters } = params;
+    const response = await request("GET", path, {
+      query: { ...filters, page, per_page },
+      signal,
+      action,
+    });
     const data = await response.json();
-    return data.components;
-  } catch (error) {
-    console.error("Error fetching components:", error);
-    throw error;
+    const totalHeader = response.headers.get("Total");
+
+    return {
+      items: data[key] || [],
+      total: totalHeader === null ? null : Number(totalHeader),
+      page,
+      perPage: per_page,
+    };
+  };
+
+  // Yield every item from `params.page` (default 1) onwards. Stops on a
+  // short page or once Total is reached, so endpoints that ignore paging
+  // and return everything at once are only requested once.
+  async function* iteratePages(path, key, params, action) {
+    let page = params.page || 1;
+
+    while (true) {
+      const result = await fetchPage(path, key, { ...params, page }, action);
+      yield* result.items;
+
+      const fetched = page * result.perPage;
+      if (
+        result.items.length !== result.perPage ||
+        (result.total !== null && fetched >= result.total)
+      ) {
+        return;
+      }
+      page += 1;
+    }
   }
-};
 
-// ==================== STORIES ====================
+  // Fetch one page when `params.page` is set, otherwise every page
+  const fetchList = async (path, key, params, action) => {
+    if (params.page) {
+      const result = await fetchPage(path, key, params, action);
+      return result.items;
+    }
 
-/**
- * Create a new story in Storyblok
- * @param {Object} storyData - Story configuration
- * @returns {Promise<Object>} Created story
- */
-export const createStory = async (storyData) => {
-  const {
-    title,
-    slug,
-    component,
-    content = {},
-    publish = false,
-    path = "",
-  } = storyData;
-
-  const payload = {
-    story: {
+    const items = [];
+    for await (const item of iteratePages(path, key, params, action)) {
+      items.push(item);
+    }
+    return items;
+  };
+
+  // ==================== COMPONENTS ====================
+
+  /**
+   * Create a new content type component in Storyblok
+   * @param {Object} componentData - Component configuration; extra keys such
+   *   as `is_nestable` or `component_group_uuid` are passed through
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Created component
+   */
+  const createComponent = async (componentData, { signal } = {}) => {
+    const {
+      name,
+      display_name = name,
+      schema = {},
+      preview_tmpl = null,
+      is_root = false,
+      ...rest
+    } = componentData;
+
+    const payload = {
+      component: {
+        ...rest,
+        name,
+        display_name,
+        schema,
+        preview_tmpl,
+        is_root,
+      },
+    };
+
+    const response = await request("POST", "/components", {
+      json: payload,
+      signal,
+      action: "create component",
+    });
+    return response.json();
+  };
+
+  /**
+   * Update an existing component
+   * @param {number} componentId - Component ID
+   * @param {Object} componentData - Component fields to change
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Updated component
+   */
+  const updateComponent = async (
+    componentId,
+    componentData,
+    { signal } = {}
+  ) => {
+    const response = await request("PUT", `/components/${componentId}`, {
+      json: { component: componentData },
+      signal,
+      action: "update component",
+    });
+    return response.json();
+  };
+
+  /**
+   * Delete a component
+   * @param {number} componentId - Component ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<boolean>}
+   */
+  const deleteComponent = async (componentId, { signal } = {}) => {
+    await request("DELETE", `/components/${componentId}`, {
+      signal,
+      action: "delete component",
+    });
+    return true;
+  };
+
+  /**
+   * Get list of all components in the space
+   * @param {Object} params - Query params; pass `page`/`per_page` for a single page, `signal` to cancel
+   * @returns {Promise<Array>} List of components
+   */
+  const getComponents = (params = {}) =>
+    fetchList("/components", "components", params, "fetch components");
+
+  /**
+   * Get one page of components along with the total count
+   * @param {Object} params - Query params including `page` and `per_page`
+   * @returns {Promise<Object>} { items, total, page, perPage }
+   */
+  const getComponentsPage = (params = {}) =>
+    fetchPage("/components", "components", params, "fetch components");
+
+  /**
+   * Iterate over every component, fetching pages as needed
+   * @param {Object} params - Query params
+   * @returns {AsyncGenerator<Object>} Components
+   */
+  const iterateComponents = (params = {}) =>
+    iteratePages("/components", "components", params, "fetch components");
+
+  // ==================== COMPONENT GROUPS ====================
+
+  /**
+   * Get list of all component groups in the space
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Array>} List of component groups
+   */
+  const getComponentGroups = async ({ signal } = {}) => {
+    const response = await request("GET", "/component_groups", {
+      signal,
+      action: "fetch component groups",
+    });
+    const data = await response.json();
+    return data.component_groups;
+  };
+
+  /**
+   * Create a component group
+   * @param {Object} groupData - { name, parent_id }
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Created component group
+   */
+  const createComponentGroup = async (groupData, { signal } = {}) => {
+    const response = await request("POST", "/component_groups", {
+      json: { component_group: groupData },
+      signal,
+      action: "create component group",
+    });
+    const data = await response.json();
+    return data.component_group;
+  };
+
+  /**
+   * Rename or move a component group
+   * @param {number} groupId - Component group ID
+   * @param {Object} groupData - { name, parent_id }
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Updated component group
+   */
+  const updateComponentGroup = async (groupId, groupData, { signal } = {}) => {
+    const response = await request("PUT", `/component_groups/${groupId}`, {
+      json: { component_group: groupData },
+      signal,
+      action: "update component group",
+    });
+    const data = await response.json();
+    return data.component_group;
+  };
+
+  /**
+   * Delete a component group. Its components are kept, ungrouped.
+   * @param {number} groupId - Component group ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<boolean>}
+   */
+  const deleteComponentGroup = async (groupId, { signal } = {}) => {
+    await request("DELETE", `/component_groups/${groupId}`, {
+      signal,
+      action: "delete component group",
+    });
+    return true;
+  };
+
+  // ==================== STORIES ====================
+
+  /**
+   * Create a new story in Storyblok
+   * @param {Object} storyData - Story configuration; `title` is sent as the
+   *   story name, `parent_id` places it in a folder and `is_folder` creates a folder.
+   *   `translations` ({ de: { headline: "Hallo" } }) adds field-level translations
+   *   to the content and `translated_slugs` ([{ lang, slug, name }]) sets
+   *   per-language slugs
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Created story
+   */
+  const createStory = async (storyData, { signal } = {}) => {
+    const {
       title,
+      name = title,
       slug,
       component,
-      content,
-      publish,
+      content = {},
+      publish = false,
+      path = "",
+      parent_id = null,
+      is_folder = false,
+      is_startpage = false,
+      tag_list,
+      translations,
+      translated_slugs,
+    } = storyData;
+
+    const story = {
+      name,
+      slug,
+      parent_id,
+      is_folder,
+      is_startpage,
       path,
-    },
+      tag_list,
+    };
+    // Folders have no content of their own
+    if (!is_folder) {
+      story.content = withTranslations({ component, ...content }, translations);
+    }
+    if (translated_slugs) {
+      story.translated_slugs_attributes = translated_slugs;
+    }
+
+    const payload = {
+      story,
+      publish: publish ? 1 : 0,
+    };
+
+    const response = await request("POST", "/stories", {
+      json: payload,
+      signal,
+      action: "create story",
+    });
+    return response.json();
   };
 
-  try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/stories`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
-        body: JSON.stringify(payload),
-      }
-    );
+  /**
+   * Update an existing story
+   * @param {number} storyId - Story ID
+   * @param {Object} storyData - Story updates
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Updated story
+   */
+  const updateStory = async (storyId, storyData, { signal } = {}) => {
+    const payload = {
+      story: storyData,
+    };
 
-    if (!response.ok) {
-      throw new Error(`Failed to create story: ${response.statusText}`);
-    }
+    const response = await request("PUT", `/stories/${storyId}`, {
+      json: payload,
+      signal,
+      action: "update story",
+    });
+    return response.json();
+  };
 
-    return await response.json();
-  } catch (error) {
-    console.error("Error creating story:", error);
-    throw error;
-  }
-};
+  /**
+   * Publish a story
+   * @param {number} storyId - Story ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Published story
+   */
+  const publishStory = async (storyId, { signal } = {}) => {
+    const response = await request("PUT", `/stories/${storyId}/publish`, {
+      signal,
+      action: "publish story",
+    });
+    return response.json();
+  };
 
-/**
- * Update an existing story
- * @param {number} storyId - Story ID
- * @param {Object} storyData - Story updates
- * @returns {Promise<Object>} Updated story
- */
-export const updateStory = async (storyId, storyData) => {
-  const payload = {
-    story: storyData,
+  /**
+   * Unpublish a story, keeping it as a draft
+   * @param {number} storyId - Story ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Unpublished story
+   */
+  const unpublishStory = async (storyId, { signal } = {}) => {
+    const response = await request("GET", `/stories/${storyId}/unpublish`, {
+      signal,
+      action: "unpublish story",
+    });
+    return response.json();
   };
 
-  try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/stories/${storyId}`,
-      {
-        method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
-        body: JSON.stringify(payload),
-      }
-    );
+  /**
+   * Get a single story by ID or by full slug (e.g. "blog/my-post")
+   * @param {number|string} idOrSlug - Story ID, or full slug
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Story
+   */
+  const getStory = async (idOrSlug, { signal } = {}) => {
+    if (/^\d+$/.test(String(idOrSlug))) {
+      const response = await request("GET", `/stories/${idOrSlug}`, {
+        signal,
+        action: "fetch story",
+      });
+      const data = await response.json();
+      return data.story;
+    }
 
-    if (!response.ok) {
-      throw new Error(`Failed to update story: ${response.statusText}`);
+    // The list endpoint only returns summaries, so look up the ID first
+    const slug = String(idOrSlug).replace(/^\/+|\/+$/g, "");
+    const [match] = await fetchList(
+      "/stories",
+      "stories",
+      { with_slug: slug, page: 1, per_page: 1, signal },
+      "fetch story"
+    );
+    if (!match) {
+      throw createApiError(`Failed to fetch story: no story at "${slug}"`, {
+        status: 404,
+        statusText: "Not Found",
+        method: "GET",
+        path: "/stories",
+      });
     }
+    return getStory(match.id, { signal });
+  };
 
-    return await response.json();
-  } catch (error) {
-    console.error("Error updating story:", error);
-    throw error;
-  }
-};
+  /**
+   * Delete a story or folder
+   * @param {number} storyId - Story ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<boolean>}
+   */
+  const deleteStory = async (storyId, { signal } = {}) => {
+    await request("DELETE", `/stories/${storyId}`, {
+      signal,
+      action: "delete story",
+    });
+    return true;
+  };
 
-/**
- * Publish a story
- * @param {number} storyId - Story ID
- * @returns {Promise<Object>} Published story
- */
-export const publishStory = async (storyId) => {
-  try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/stories/${storyId}/publish`,
+  /**
+   * Create a folder
+   * @param {Object} folderData - { name, slug, parent_id }
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Created folder
+   */
+  const createFolder = (folderData, requestOptions) =>
+    createStory({ ...folderData, is_folder: true }, requestOptions);
+
+  /**
+   * Move a story into another folder
+   * @param {number} storyId - Story ID
+   * @param {number|null} parentId - Target folder ID, or null for the root
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Updated story
+   */
+  const moveStory = (storyId, parentId, requestOptions) =>
+    updateStory(storyId, { parent_id: parentId || 0 }, requestOptions);
+
+  /**
+   * Copy a story's content into a new draft story. Folders are not copied
+   * recursively.
+   * @param {number} storyId - Story ID to copy
+   * @param {Object} overrides - Optional `name`, `slug` and `parent_id` for the copy
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Created story
+   */
+  const duplicateStory = async (storyId, overrides = {}, { signal } = {}) => {
+    const original = await getStory(storyId, { signal });
+    if (original.is_folder) {
+      throw new Error("Failed to duplicate story: folders cannot be copied");
+    }
+
+    const { component, _uid, ...content } = original.content || {};
+    return createStory(
       {
-        method: "PUT",
-        headers: {
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
-      }
+        name: overrides.name || `${original.name} (copy)`,
+        slug: overrides.slug || `${original.slug}-copy`,
+        parent_id:
+          overrides.parent_id !== undefined
+            ? overrides.parent_id
+            : original.parent_id,
+        component,
+        content,
+        path: original.path || "",
+        tag_list: original.tag_list,
+      },
+      { signal }
     );
+  };
 
-    if (!response.ok) {
-      throw new Error(`Failed to publish story: ${response.statusText}`);
-    }
+  /**
+   * List stories in the space
+   * @param {Object} params - Query params such as `starts_with`, `with_tag`,
+   *   `filter_query`, `sort_by`, `text_search`, `folder_only`, `story_only`;
+   *   pass `page`/`per_page` for a single page, `signal` to cancel
+   * @returns {Promise<Array>} List of stories
+   */
+  const listStories = (params = {}) =>
+    fetchList("/stories", "stories", params, "list stories");
 
-    return await response.json();
-  } catch (error) {
-    console.error("Error publishing story:", error);
-    throw error;
-  }
-};
+  /**
+   * Get one page of stories along with the total count
+   * @param {Object} params - Same as listStories, including `page` and `per_page`
+   * @returns {Promise<Object>} { items, total, page, perPage }
+   */
+  const listStoriesPage = (params = {}) =>
+    fetchPage("/stories", "stories", params, "list stories");
 
-// ==================== ASSETS ====================
+  /**
+   * Iterate over every matching story, fetching pages as needed
+   * @param {Object} params - Same as listStories
+   * @returns {AsyncGenerator<Object>} Stories
+   */
+  const iterateStories = (params = {}) =>
+    iteratePages("/stories", "stories", params, "list stories");
 
-/**
- * Upload an image asset to Storyblok
- * @param {File} file - Image file to upload
- * @param {string} folder - Asset folder (optional)
- * @returns {Promise<Object>} Asset information
- */
-export const uploadAsset = async (file, folder = "") => {
-  const formData = new FormData();
+  // ==================== ASSETS ====================
 
-  // Append the file with proper structure
-  formData.append("filename", file.name);
-  formData.append("asset", file);
+  /**
+   * Register an upload with Storyblok and get a signed S3 request for it.
+   * This is the first step of uploadAsset.
+   * @param {Object} uploadData - { filename, size ("WIDTHxHEIGHT"), folder }
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Signed request: { id, post_url, fields, pretty_url, ... }
+   */
+  const signAssetUpload = async (
+    { filename, size, folder },
+    { signal } = {}
+  ) => {
+    const response = await request("POST", "/assets", {
+      json: {
+        filename,
+        size: size || undefined,
+        asset_folder_id: folder || null,
+        validate_upload: 1,
+      },
+      signal,
+      action: "request asset upload",
+    });
+    return response.json();
+  };
 
-  // Add folder_id if provided
-  if (folder) {
-    formData.append("asset[folder_id]", folder);
-  }
+  /**
+   * Upload an image asset to Storyblok. The file goes straight to S3 using
+   * a signed request, then the upload is finalized.
+   * @param {File} file - Image file to upload
+   * @param {string} folder - Asset folder (optional)
+   * @param {Object} requestOptions - { signal } to cancel the upload,
+   *   { onProgress } to receive { loaded, total } as the file is sent
+   * @returns {Promise<Object>} The finalized asset
+   */
+  const uploadAsset = async (
+    file,
+    folder = "",
+    { signal, onProgress } = {}
+  ) => {
+    const size = await getImageSize(file);
+    const signed = await signAssetUpload(
+      { filename: file.name, size, folder },
+      { signal }
+    );
 
-  try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/assets`,
+    // S3 expects the signed fields first and the file last
+    const formData = new FormData();
+    Object.entries(signed.fields || {}).forEach(([key, value]) =>
+      formData.append(key, value)
+    );
+    formData.append("file", file);
+
+    // S3 is not rate limited like the API, so skip the queue
+    await execute(
+      signed.post_url,
+      { method: "POST", body: formData, signal },
       {
-        method: "POST",
-        headers: {
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
-        body: formData,
+        path: `/assets/${signed.id} (signed upload)`,
+        action: "upload asset",
+        onUploadProgress: onProgress,
+        useQueue: false,
       }
     );
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("Upload error response:", errorText);
-      throw new Error(
-        `Failed to upload asset: ${response.status} ${response.statusText}. ${errorText}`
-      );
-    }
+    await request("GET", `/assets/${signed.id}/finalize`, {
+      signal,
+      action: "finalize asset upload",
+    });
 
-    return await response.json();
-  } catch (error) {
-    console.error("Error uploading asset:", error);
-    throw error;
-  }
-};
+    return getAsset(signed.id, { signal });
+  };
 
-/**
- * Get list of all assets in the space
- * @returns {Promise<Array>} List of assets
- */
-export const getAssets = async () => {
-  try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/assets`,
-      {
-        headers: {
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
-      }
-    );
+  /**
+   * Get a single asset
+   * @param {number} assetId - Asset ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Asset
+   */
+  const getAsset = async (assetId, { signal } = {}) => {
+    const response = await request("GET", `/assets/${assetId}`, {
+      signal,
+      action: "fetch asset",
+    });
+    const data = await response.json();
+    return data.asset || data;
+  };
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch assets: ${response.statusText}`);
-    }
+  /**
+   * Get list of all assets in the space
+   * @param {Object} params - Query params such as `search`, `in_folder`;
+   *   pass `page`/`per_page` for a single page, `signal` to cancel
+   * @returns {Promise<Array>} List of assets
+   */
+  const getAssets = (params = {}) =>
+    fetchList("/assets", "assets", params, "fetch assets");
+
+  /**
+   * Get one page of assets along with the total count
+   * @param {Object} params - Same as getAssets, including `page` and `per_page`
+   * @returns {Promise<Object>} { items, total, page, perPage }
+   */
+  const getAssetsPage = (params = {}) =>
+    fetchPage("/assets", "assets", params, "fetch assets");
+
+  /**
+   * Iterate over every asset, fetching pages as needed
+   * @param {Object} params - Same as getAssets
+   * @returns {AsyncGenerator<Object>} Assets
+   */
+  const iterateAssets = (params = {}) =>
+    iteratePages("/assets", "assets", params, "fetch assets");
+
+  /**
+   * Delete an asset
+   * @param {number} assetId - Asset ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<void>}
+   */
+  const deleteAsset = async (assetId, { signal } = {}) => {
+    await request("DELETE", `/assets/${assetId}`, {
+      signal,
+      action: "delete asset",
+    });
+    return true;
+  };
 
+  /**
+   * Update an asset's metadata
+   * @param {number} assetId - Asset ID
+   * @param {Object} assetData - Fields to change, e.g. { alt, title, copyright, focus, internal_tag_ids }
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Updated asset
+   */
+  const updateAsset = async (assetId, assetData, { signal } = {}) => {
+    await request("PUT", `/assets/${assetId}`, {
+      json: { asset: assetData },
+      signal,
+      action: "update asset",
+    });
+    return getAsset(assetId, { signal });
+  };
+
+  // ==================== ASSET TAGS ====================
+
+  /**
+   * Get the internal tags that can be applied to assets
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Array>} Tags ({ id, name })
+   */
+  const getAssetTags = async ({ signal } = {}) => {
+    const response = await request("GET", "/internal_tags", {
+      query: { by_object_type: "asset" },
+      signal,
+      action: "fetch asset tags",
+    });
+    const data = await response.json();
+    return data.internal_tags;
+  };
+
+  /**
+   * Create an asset tag
+   * @param {string} name - Tag name
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Created tag
+   */
+  const createAssetTag = async (name, { signal } = {}) => {
+    const response = await request("POST", "/internal_tags", {
+      json: { internal_tag: { name, object_type: "asset" } },
+      signal,
+      action: "create asset tag",
+    });
     const data = await response.json();
-    return data.assets;
-  } catch (error) {
-    console.error("Error fetching assets:", error);
-    throw error;
+    return data.internal_tag;
+  };
+
+  /**
+   * Delete an asset tag; it is removed from every asset that has it
+   * @param {number} tagId - Tag ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<boolean>}
+   */
+  const deleteAssetTag = async (tagId, { signal } = {}) => {
+    await request("DELETE", `/internal_tags/${tagId}`, {
+      signal,
+      action: "delete asset tag",
+    });
+    return true;
+  };
+
+  // ==================== ASSET FOLDERS ====================
+
+  /**
+   * Get list of all asset folders in the space
+   * @param {Object} params - Query params such as `search`; `signal` to cancel
+   * @returns {Promise<Array>} List of folders with `id`, `name` and `parent_id`
+   */
+  const getAssetFolders = async ({ signal, ...query } = {}) => {
+    const response = await request("GET", "/asset_folders", {
+      query,
+      signal,
+      action: "fetch asset folders",
+    });
+    const data = await response.json();
+    return data.asset_folders;
+  };
+
+  /**
+   * Create an asset folder
+   * @param {Object} folderData - { name, parent_id }
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<Object>} Created folder
+   */
+  const createAssetFolder = async (folderData, { signal } = {}) => {
+    const response = await request("POST", "/asset_folders", {
+      json: { asset_folder: folderData },
+      signal,
+      action: "create asset folder",
+    });
+    const data = await response.json();
+    return data.asset_folder;
+  };
+
+  /**
+   * Rename or move an asset folder
+   * @param {number} folderId - Folder ID
+   * @param {Object} folderData - { name, parent_id }
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<boolean>}
+   */
+  const updateAssetFolder = async (folderId, folderData, { signal } = {}) => {
+    await request("PUT", `/asset_folders/${folderId}`, {
+      json: { asset_folder: folderData },
+      signal,
+      action: "update asset folder",
+    });
+    return true;
+  };
+
+  /**
+   * Delete an asset folder
+   * @param {number} folderId - Folder ID
+   * @param {Object} requestOptions - { signal } to cancel the request
+   * @returns {Promise<boolean>}
+   */
+  const deleteAssetFolder = async (folderId, { signal } = {}) => {
+    await request("DELETE", `/asset_folders/${folderId}`, {
+      signal,
+      action: "delete asset folder",
+    });
+    return true;
+  };
+
+  const client = {
+    spaceId,
+    baseUrl,
+    queue,
+    createComponent,
+    updateComponent,
+    deleteComponent,
+    getComponents,
+    getComponentsPage,
+    iterateComponents,
+    getComponentGroups,
+    createComponentGroup,
+    updateComponentGroup,
+    deleteComponentGroup,
+    createStory,
+    updateStory,
+    publishStory,
+    unpublishStory,
+    getStory,
+    deleteStory,
+    createFolder,
+    moveStory,
+    duplicateStory,
+    listStories,
+    listStoriesPage,
+    iterateStories,
+    signAssetUpload,
+    uploadAsset,
+    getAsset,
+    getAssets,
+    getAssetsPage,
+    iterateAssets,
+    deleteAsset,
+    getAssetFolders,
+    createAssetFolder,
+    updateAssetFolder,
+    deleteAssetFolder,
+    updateAsset,
+    getAssetTags,
+    createAssetTag,
+    deleteAssetTag,
+  };
+
+  /**
+   * Diff local component definitions against the space and apply the
+   * creates, updates and deletes needed to match
+   * @param {Array} definitions - Local component definitions
+   * @param {Object} syncOptions - { dryRun, prune }, see ./componentSync
+   * @returns {Promise<Object>} Sync report
+   */
+  client.syncComponents = (definitions, syncOptions) =>
+    syncComponentDefinitions(client, definitions, syncOptions);
+
+  /**
+   * Find the stories that reference an asset
+   * @param {Object} asset - Asset with a `filename` URL
+   * @param {Object} scanOptions - { getPublishedContent, signal }, see ./assetUsage
+   * @returns {Promise<Array>} [{ story, paths }]
+   */
+  client.findAssetUsage = (asset, scanOptions) =>
+    scanAssetUsage(client, asset, scanOptions);
+
+  /**
+   * Find assets that no story references
+   * @param {Object} scanOptions - { getPublishedContent, onProgress, signal },
+   *   see ./assetUsage
+   * @returns {Promise<Array>} Unused assets
+   */
+  client.findUnusedAssets = (scanOptions) =>
+    scanUnusedAssets(client, scanOptions);
+
+  /**
+   * Apply pending content migrations to every story
+   * @param {Array} migrations - { id, description, up }, oldest first
+   * @param {Object} runOptions - { applied, dryRun, publish, onProgress, signal },
+   *   see ./contentMigration
+   * @returns {Promise<Object>} Migration report
+   */
+  client.runContentMigrations = (migrations, runOptions) =>
+    runMigrations(client, migrations, runOptions);
+
+  return client;
+};
+
+// ==================== DEFAULT CLIENT ====================
+
+let defaultClient = null;
+
+/**
+ * Get the client configured from the REACT_APP_STORYBLOK_* environment
+ * variables. It is created on first use so the env is read lazily.
+ * @returns {Object} Management API client
+ */
+export const getDefaultClient = () => {
+  if (!defaultClient) {
+    defaultClient = createManagementClient({
+      spaceId: process.env.REACT_APP_STORYBLOK_SPACE_ID,
+      token: process.env.REACT_APP_STORYBLOK_MANAGEMENT_TOKEN,
+      region: process.env.REACT_APP_STORYBLOK_REGION,
+      logger: process.env.NODE_ENV === "development" ? console : undefined,
+    });
   }
+  return defaultClient;
 };
 
 /**
- * Delete an asset
- * @param {number} assetId - Asset ID
- * @returns {Promise<void>}
+ * Replace the client used by the named exports below (e.g. with one pointed
+ * at a mock server). Pass null to fall back to the env-configured client.
+ * @param {Object|null} client - Management API client
  */
-export const deleteAsset = async (assetId) => {
-  try {
-    const response = await fetch(
-      `${STORYBLOK_API_URL}/spaces/${STORYBLOK_SPACE_ID}/assets/${assetId}`,
-      {
-        method: "DELETE",
-        headers: {
-          Authorization: STORYBLOK_MANAGEMENT_TOKEN,
-        },
-      }
-    );
+export const setDefaultClient = (client) => {
+  defaultClient = client;
+};
 
-    if (!response.ok) {
-      throw new Error(`Failed to delete asset: ${response.statusText}`);
-    }
+export const createComponent = (...args) =>
+  getDefaultClient().createComponent(...args);
 
-    return true;
-  } catch (error) {
-    console.error("Error deleting asset:", error);
-    throw error;
-  }
-};
+export const updateComponent = (...args) =>
+  getDefaultClient().updateComponent(...args);
+
+export const deleteComponent = (...args) =>
+  getDefaultClient().deleteComponent(...args);
+
+export const getComponents = (...args) =>
+  getDefaultClient().getComponents(...args);
+
+export const getComponentsPage = (...args) =>
+  getDefaultClient().getComponentsPage(...args);
+
+export const iterateComponents = (...args) =>
+  getDefaultClient().iterateComponents(...args);
+
+export const getComponentGroups = (...args) =>
+  getDefaultClient().getComponentGroups(...args);
+
+export const createComponentGroup = (...args) =>
+  getDefaultClient().createComponentGroup(...args);
+
+export const updateComponentGroup = (...args) =>
+  getDefaultClient().updateComponentGroup(...args);
+
+export const deleteComponentGroup = (...args) =>
+  getDefaultClient().deleteComponentGroup(...args);
+
+export const syncComponents = (...args) =>
+  getDefaultClient().syncComponents(...args);
+
+export const createStory = (...args) => getDefaultClient().createStory(...args);
+
+export const updateStory = (...args) => getDefaultClient().updateStory(...args);
+
+export const publishStory = (...args) =>
+  getDefaultClient().publishStory(...args);
+
+export const unpublishStory = (...args) =>
+  getDefaultClient().unpublishStory(...args);
+
+export const getStory = (...args) => getDefaultClient().getStory(...args);
+
+export const deleteStory = (...args) => getDefaultClient().deleteStory(...args);
+
+export const createFolder = (...args) =>
+  getDefaultClient().createFolder(...args);
+
+export const moveStory = (...args) => getDefaultClient().moveStory(...args);
+
+export const duplicateStory = (...args) =>
+  getDefaultClient().duplicateStory(...args);
+
+export const listStories = (...args) => getDefaultClient().listStories(...args);
+
+export const listStoriesPage = (...args) =>
+  getDefaultClient().listStoriesPage(...args);
+
+export const iterateStories = (...args) =>
+  getDefaultClient().iterateStories(...args);
+
+export const signAssetUpload = (...args) =>
+  getDefaultClient().signAssetUpload(...args);
+
+export const uploadAsset = (...args) => getDefaultClient().uploadAsset(...args);
+
+export const getAsset = (...args) => getDefaultClient().getAsset(...args);
+
+export const getAssets = (...args) => getDefaultClient().getAssets(...args);
+
+export const getAssetsPage = (...args) =>
+  getDefaultClient().getAssetsPage(...args);
+
+export const iterateAssets = (...args) =>
+  getDefaultClient().iterateAssets(...args);
+
+export const deleteAsset = (...args) => getDefaultClient().deleteAsset(...args);
+
+export const updateAsset = (...args) => getDefaultClient().updateAsset(...args);
+
+export const findAssetUsage = (...args) =>
+  getDefaultClient().findAssetUsage(...args);
+
+export const runContentMigrations = (...args) =>
+  getDefaultClient().runContentMigrations(...args);
+
+export const findUnusedAssets = (...args) =>
+  getDefaultClient().findUnusedAssets(...args);
+
+export const getAssetFolders = (...args) =>
+  getDefaultClient().getAssetFolders(...args);
+
+export const createAssetFolder = (...args) =>
+  getDefaultClient().createAssetFolder(...args);
+
+export const updateAssetFolder = (...args) =>
+  getDefaultClient().updateAssetFolder(...args);
+
+export const deleteAssetFolder = (...args) =>
+  getDefaultClient().deleteAssetFolder(...args);
+
+export const getAssetTags = (...args) =>
+  getDefaultClient().getAssetTags(...args);
+
+export const createAssetTag = (...args) =>
+  getDefaultClient().createAssetTag(...args);
+
+export const deleteAssetTag = (...args) =>
+  getDefaultClient().deleteAssetTag(...args);
@@ -0,0 +1,108 @@
+import { createManagementClient } from "./storyblokManagement";
+
+// fetch stand-in serving `items` from a paged list endpoint
+const createPagedFetch = (items, { key = "assets", sendTotal = true } = {}) =>
+  jest.fn(async (url) => {
+    const { searchParams } = new URL(url);
+    const page = Number(searchParams.get("page"));
+    const perPage = Number(searchParams.get("per_page"));
+    const body = {
+      [key]: items.slice((page - 1) * perPage, page * perPage),
+    };
+    const headers = sendTotal ? { Total: String(items.length) } : {};
+
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: (name) => headers[name] ?? null },
+      json: async () => body,
+    };
+  });
+
+const createClient = (fetch) =>
+  createManagementClient({
+    spaceId: 1,
+    token: "token",
+    baseUrl: "https://api.test/v1",
+    fetch,
+    requestsPerSecond: 0,
+  });
+
+const requestedPages = (fetch) =>
+  fetch.mock.calls.map(([url]) => new URL(url).searchParams.get("page"));
+
+const range = (count) => [...Array(count).keys()].map((id) => ({ id }));
+
+describe("pagination", () => {
+  test("getAssetsPage fetches one page with the Total header", async () => {
+    const fetch = createPagedFetch(range(5));
+
+    const result = await createClient(fetch).getAssetsPage({
+      page: 2,
+      per_page: 2,
+      in_folder: 7,
+    });
+
+    expect(result).toEqual({
+      items: [{ id: 2 }, { id: 3 }],
+      total: 5,
+      page: 2,
+      perPage: 2,
+    });
+    const { searchParams } = new URL(fetch.mock.calls[0][0]);
+    expect(searchParams.get("in_folder")).toBe("7");
+  });
+
+  test("total is null without a Total header", async () => {
+    const fetch = createPagedFetch(range(3), { sendTotal: false });
+
+    const result = await createClient(fetch).getAssetsPage({ page: 1 });
+
+    expect(result.total).toBeNull();
+  });
+
+  test("iterates every page until Total is reached", async () => {
+    const fetch = createPagedFetch(range(4));
+    const ids = [];
+
+    for await (const asset of createClient(fetch).iterateAssets({
+      per_page: 2,
+    })) {
+      ids.push(asset.id);
+    }
+
+    expect(ids).toEqual([0, 1, 2, 3]);
+    expect(requestedPages(fetch)).toEqual(["1", "2"]);
+  });
+
+  test("stops on a short page when there is no Total header", async () => {
+    const fetch = createPagedFetch(range(5), { sendTotal: false });
+    const ids = [];
+
+    for await (const asset of createClient(fetch).iterateAssets({
+      per_page: 2,
+    })) {
+      ids.push(asset.id);
+    }
+
+    expect(ids).toEqual([0, 1, 2, 3, 4]);
+    expect(requestedPages(fetch)).toEqual(["1", "2", "3"]);
+  });
+
+  test("getAssets collects every page", async () => {
+    const fetch = createPagedFetch(range(250));
+
+    const assets = await createClient(fetch).getAssets();
+
+    expect(assets).toHaveLength(250);
+    expect(requestedPages(fetch)).toEqual(["1", "2", "3"]);
+  });
+
+  test("getComponents reads the list from the endpoint's key", async () => {
+    const fetch = createPagedFetch([{ name: "page" }], { key: "components" });
+
+    const components = await createClient(fetch).getComponents();
+
+    expect(components).toEqual([{ name: "page" }]);
+  });
+});
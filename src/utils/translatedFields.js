@@ -0,0 +1,101 @@
+/**
+ * Translated Fields
+ * Read and write field-level translations in raw story content, where the
+ * German value of `headline` is stored as `headline__i18n__de`
+ */
+
+const SEPARATOR = "__i18n__";
+
+/**
+ * Content key of a field's translation
+ * @param {string} field - Field name
+ * @param {string} language - Language code, e.g. "de"
+ * @returns {string} e.g. "headline__i18n__de"
+ */
+export const getTranslatedKey = (field, language) =>
+  `${field}${SEPARATOR}${language}`;
+
+/**
+ * A field's value in a language, falling back to the default language
+ * @param {Object} content - Story or blok content
+ * @param {string} field - Field name
+ * @param {string} language - Language code, or "" / "default" for the default language
+ * @returns {*} Field value
+ */
+export const getTranslatedField = (content, field, language) => {
+  const translated =
+    language && language !== "default"
+      ? content[getTranslatedKey(field, language)]
+      : undefined;
+  return translated !== undefined && translated !== ""
+    ? translated
+    : content[field];
+};
+
+/**
+ * Set a field's value in a language
+ * @param {Object} content - Story or blok content
+ * @param {string} field - Field name
+ * @param {string} language - Language code, or "" / "default" for the default language
+ * @param {*} value - New value
+ * @returns {Object} Updated copy of the content
+ */
+export const setTranslatedField = (content, field, language, value) => ({
+  ...content,
+  [language && language !== "default"
+    ? getTranslatedKey(field, language)
+    : field]: value,
+});
+
+/**
+ * Add translations for several fields and languages at once
+ * @param {Object} content - Story or blok content
+ * @param {Object} translations - { de: { headline: "Hallo" }, fr: { ... } }
+ * @returns {Object} Updated copy of the content
+ */
+export const withTranslations = (content, translations = {}) =>
+  Object.entries(translations).reduce(
+    (result, [language, fields]) =>
+      Object.entries(fields).reduce(
+        (updated, [field, value]) =>
+          setTranslatedField(updated, field, language, value),
+        result
+      ),
+    content
+  );
+
+/**
+ * The translated fields of one language
+ * @param {Object} content - Story or blok content
+ * @param {string} language - Language code
+ * @returns {Object} { field: value } for every field translated into `language`
+ */
+export const getTranslations = (content, language) => {
+  const suffix = `${SEPARATOR}${language}`;
+  return Object.keys(content)
+    .filter((key) => key.endsWith(suffix))
+    .reduce(
+      (result, key) => ({
+        ...result,
+        [key.slice(0, -suffix.length)]: content[key],
+      }),
+      {}
+    );
+};
+
+/**
+ * Languages that at least one field has been translated into
+ * @param {Object} content - Story or blok content
+ * @returns {Array<string>} Language codes
+ */
+export const getTranslatedLanguages = (content) => [
+  ...new Set(
+    Object.keys(content)
+      .filter(
+        (key) =>
+          key.includes(SEPARATOR) &&
+          ![undefined, null, ""].includes(content[key])
+      )
+      .map((key) => key.split(SEPARATOR).pop())
+  ),
+];
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+
+// scripts/ is outside the folders jest looks in, so its tests live here
+import crypto from "crypto";
+import { planInvalidation, verifySignature } from "../scripts/lib/webhook";
+
+const secret = "webhook-secret";
+const body = JSON.stringify({ action: "published", story_id: 1 });
+const sign = (value, key = secret) =>
+  crypto.createHmac("sha1", key).update(value).digest("hex");
+
+describe("verifySignature", () => {
+  test("accepts the HMAC of the raw body", () => {
+    expect(verifySignature(body, sign(body), secret)).toBe(true);
+    expect(verifySignature(Buffer.from(body), sign(body), secret)).toBe(true);
+  });
+
+  test("rejects other signatures", () => {
+    expect(verifySignature(body, sign(body, "other"), secret)).toBe(false);
+    expect(verifySignature(`${body} `, sign(body), secret)).toBe(false);
+    expect(verifySignature(body, "short", secret)).toBe(false);
+  });
+
+  test("rejects everything without a secret or signature", () => {
+    expect(verifySignature(body, sign(body, ""), "")).toBe(false);
+    expect(verifySignature(body, undefined, secret)).toBe(false);
+  });
+});
+
+describe("planInvalidation", () => {
+  const storyEvent = (action, fullSlug) => ({
+    type: "story",
+    action,
+    storyId: "1",
+    fullSlug,
+  });
+
+  test("invalidates a published story's old and new slug", async () => {
+    await expect(
+      planInvalidation(storyEvent("moved", "news/post"), {
+        manifest: { 1: "blog/post" },
+      })
+    ).resolves.toEqual({ slugs: ["blog/post", "news/post"], full: false });
+
+    await expect(
+      planInvalidation(storyEvent("published", "about"), {
+        manifest: { 1: "about" },
+      })
+    ).resolves.toEqual({ slugs: ["about"], full: false });
+  });
+
+  test("invalidates everything when the old slug of a move is unknown", async () => {
+    await expect(
+      planInvalidation(storyEvent("moved", "news/post"))
+    ).resolves.toEqual({ slugs: ["news/post"], full: true });
+    await expect(
+      planInvalidation(storyEvent("deleted", null))
+    ).resolves.toEqual({ slugs: [], full: true });
+  });
+
+  test("invalidates the stories using a changed asset", async () => {
+    const findAssetStories = jest.fn(async () => ["about", "blog/post"]);
+
+    await expect(
+      planInvalidation(
+        { type: "asset", action: "replaced", assetId: 5 },
+        { findAssetStories }
+      )
+    ).resolves.toEqual({ slugs: ["about", "blog/post"], full: false });
+    expect(findAssetStories).toHaveBeenCalledWith(5);
+  });
+
+  test("skips new assets", async () => {
+    await expect(
+      planInvalidation({ type: "asset", action: "created", assetId: 5 })
+    ).resolves.toEqual({ slugs: [], full: false });
+  });
+
+  test("invalidates everything when asset usage is unknown", async () => {
+    const event = { type: "asset", action: "deleted", assetId: 5 };
+
+    await expect(planInvalidation(event)).resolves.toEqual({
+      slugs: [],
+      full: true,
+    });
+    await expect(
+      planInvalidation(event, {
+        findAssetStories: async () => {
+          throw new Error("offline");
+        },
+      })
+    ).resolves.toEqual({ slugs: [], full: true });
+  });
+});